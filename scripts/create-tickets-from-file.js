@@ -5,11 +5,14 @@
  * node create-tickets-from-file.js messages.md
  */
 
+// Has to be an import: static imports are evaluated before the module body,
+// and models.js reads ANTHROPIC_* at load time
+import 'dotenv/config';
+
 import Anthropic from '@anthropic-ai/sdk';
-import dotenv from 'dotenv';
 import fs from 'fs/promises';
-
-dotenv.config();
+import { getModelConfig } from '../src/config/models.js';
+import { callWithFallback } from '../src/services/anthropic-retry.js';
 
 const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
 const JIRA_BASE_URL = process.env.JIRA_BASE_URL;
@@ -27,7 +30,8 @@ async function readMessagesFromFile(filePath) {
 
 // Ask Claude to extract bug reports from messages
 async function extractBugReports(messagesText) {
-  const client = new Anthropic({ apiKey: ANTHROPIC_API_KEY });
+  const client = new Anthropic({ apiKey: ANTHROPIC_API_KEY, maxRetries: 0 });
+  const modelConfig = getModelConfig();
 
   const prompt = `Analyze this chat conversation and extract all bug reports, issues, and feature requests.
 
@@ -63,14 +67,14 @@ Return ONLY valid JSON array like:
 If no NEW issues found (all are either fixed or already ticketed), return empty array: []`;
 
   console.log('🤖 Analyzing messages with Claude...');
-  const response = await client.messages.create({
-    model: 'claude-sonnet-4-5-20250929',
-    max_tokens: 8192,
+  const { result: response } = await callWithFallback((model) => client.messages.create({
+    model,
+    max_tokens: modelConfig.maxTokens,
     messages: [{
       role: 'user',
       content: prompt
     }]
-  });
+  }), modelConfig);
 
   const text = response.content[0].text;
 
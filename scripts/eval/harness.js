@@ -0,0 +1,248 @@
+/**
+ * Replay Harness
+ * Loads recorded sessions (RECORD_SESSIONS_DIR fixtures), replays them against a fresh
+ * AgentSDKManager with stubbed tools and scores what the agent did on every message.
+ *
+ * Import this after setting SESSION_STORE=memory and pointing DATA_DIR at a scratch directory -
+ * importing the manager module also creates the app's singleton, and the cost ledger, pause list
+ * and reply-decision log read and write DATA_DIR. Replays must not touch production state.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { AgentSDKManager } from '../../src/services/bugbuster-manager.js';
+import { MemorySessionStore } from '../../src/services/session-store.js';
+import { getToolsForProfile } from '../../src/tools/index.js';
+import { sessionKeyFor } from '../../src/services/session-key.js';
+import { costLedger } from '../../src/services/cost-ledger.js';
+
+// Outcome labels scored by default (an 'expect' line can add savedMemory)
+const DEFAULT_CHECKS = ['silent', 'ticketCreated', 'serverExec', 'joinedMeet'];
+
+function readLines(file) {
+  return fs.readFileSync(file, 'utf-8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+/**
+ * Load fixtures from a recording file or a directory of them
+ * Each fixture: { name, channelId, channelName, turns: [{ messageId, threadId, userName, text, attachments, tools, reply, expect }] }
+ *
+ * Besides recorded events, a fixture may contain hand-written expectations that override the recording:
+ *   { "type": "expect", "messageId": "...", "silent": true, "ticketCreated": false }
+ */
+export function loadFixtures(target) {
+  const files = fs.statSync(target).isDirectory()
+    ? fs.readdirSync(target).filter(name => name.endsWith('.jsonl')).sort().map(name => path.join(target, name))
+    : [target];
+
+  return files.map(file => {
+    const turns = new Map();
+    let channelId = null;
+    let channelName = null;
+
+    for (const event of readLines(file)) {
+      if (event.type === 'message') {
+        channelId = channelId || event.channelId;
+        channelName = channelName || event.channelName;
+        turns.set(event.messageId, { ...event, tools: [], reply: null, expect: null });
+        continue;
+      }
+
+      const turn = turns.get(event.messageId);
+      if (!turn) continue;
+
+      if (event.type === 'tool') turn.tools.push(event);
+      if (event.type === 'reply') turn.reply = event;
+      if (event.type === 'expect') turn.expect = event;
+    }
+
+    return {
+      name: path.basename(file, '.jsonl'),
+      channelId,
+      channelName,
+      turns: Array.from(turns.values())
+    };
+  });
+}
+
+/**
+ * Reduce what happened on one message to comparable labels
+ */
+export function outcomeOf({ tools, silent }) {
+  const successful = tools.filter(tool => !tool.isError);
+
+  return {
+    silent: !!silent,
+    ticketCreated: successful.some(tool => tool.toolName === 'create_jira_ticket'),
+    serverExec: [...new Set(tools
+      .filter(tool => tool.toolName === 'server_exec')
+      .map(tool => tool.input?.server))].sort(),
+    joinedMeet: successful.some(tool => tool.toolName === 'join_google_meet'),
+    savedMemory: successful.some(tool => tool.toolName === 'update_memory')
+  };
+}
+
+/**
+ * What a turn should score: the recorded outcome, overridden by any 'expect' line
+ */
+export function expectedOutcome(turn) {
+  const recorded = outcomeOf({ tools: turn.tools, silent: turn.reply ? turn.reply.silent : true });
+  const { type, messageId, timestamp, ...overrides } = turn.expect || {};
+  return { ...recorded, ...overrides };
+}
+
+/**
+ * Compare expected and actual labels for one turn
+ */
+export function scoreTurn(turn, actual) {
+  const expected = expectedOutcome(turn);
+  const labels = [...new Set([...DEFAULT_CHECKS, ...Object.keys(turn.expect || {})])]
+    .filter(label => label in expected);
+
+  const checks = labels.map(label => ({
+    label,
+    expected: expected[label],
+    actual: actual[label],
+    pass: JSON.stringify(expected[label]) === JSON.stringify(actual[label])
+  }));
+
+  return { expected, checks, pass: checks.every(check => check.pass) };
+}
+
+/**
+ * Stable key for matching a replayed tool call to a recorded one
+ */
+function toolKey(toolName, input) {
+  const sorted = Object.keys(input || {}).sort().reduce((acc, key) => ({ ...acc, [key]: input[key] }), {});
+  return `${toolName}:${JSON.stringify(sorted)}`;
+}
+
+/**
+ * Answer tool calls from the recording instead of running them
+ * Exact match (name + input) in the current turn, then anywhere in the fixture,
+ * then the first unused recording of the same tool, then a generic stub.
+ */
+function createToolStub(fixture, calls) {
+  const recorded = fixture.turns.flatMap(turn => turn.tools.map(tool => ({ ...tool, used: false })));
+
+  const stubResult = (toolName, input) => {
+    switch (toolName) {
+      case 'create_jira_ticket':
+        return `✅ Jira ticket created successfully!\n\nTicket: REPLAY-1\nURL: https://jira.example.com/browse/REPLAY-1\nPriority: ${input.priority || 'Medium'}\nTitle: ${input.title}`;
+      case 'server_exec':
+        return `(no recorded output for \`${input.command}\` on ${input.server})`;
+      default:
+        return '✅ Done';
+    }
+  };
+
+  return async (toolName, input, context) => {
+    calls.push({ messageId: context.messageId, toolName, input });
+
+    const key = toolKey(toolName, input);
+    const candidates = recorded.filter(tool => !tool.used);
+    const match =
+      candidates.find(tool => tool.messageId === context.messageId && toolKey(tool.toolName, tool.input) === key) ||
+      candidates.find(tool => toolKey(tool.toolName, tool.input) === key) ||
+      candidates.find(tool => tool.toolName === toolName);
+
+    if (match) {
+      match.used = true;
+      return match.result;
+    }
+    return stubResult(toolName, input);
+  };
+}
+
+/**
+ * The text processWithAgentSDK sends for a participation message
+ * (attachments can't be re-downloaded, they become a note)
+ */
+function messageText(turn) {
+  let text = `${turn.userName}: ${turn.text || '[sent a file]'}`;
+  for (const attachment of turn.attachments || []) {
+    text += attachment.type?.startsWith('image/')
+      ? `\n[image: ${attachment.name}]`
+      : `\n[attachment: ${attachment.name} (${attachment.type})]`;
+  }
+  return text;
+}
+
+/**
+ * Cost ledger for replays: prices calls like production, but records nothing and enforces no budgets
+ * (eval spend must not count against the real channel and user, or get turns refused)
+ */
+const evalLedger = {
+  record: ({ model, usage }) => ({
+    cost: costLedger.calculateCost(model, usage),
+    inputTokens: usage.input_tokens || 0,
+    outputTokens: usage.output_tokens || 0,
+    cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+    cacheReadTokens: usage.cache_read_input_tokens || 0
+  }),
+  calculateCacheSavings: (model, usage) => costLedger.calculateCacheSavings(model, usage),
+  checkBudget: () => ({ allowed: true, exceeded: [] })
+};
+
+/**
+ * Replay one fixture with a given prompt
+ * Thread messages are replayed into their own sessions, like the Cliq route does
+ * @param {Object} prompt - { claudeMdPath, memoryPath } (defaults: the app's files)
+ * @returns {Promise<Array>} per turn: { messageId, userName, text, reply, silenceReason, tools, actual, expected, checks, pass }
+ */
+export async function replayFixture(fixture, prompt = {}) {
+  const calls = [];
+  const manager = new AgentSDKManager({
+    ...prompt,
+    store: new MemorySessionStore(),
+    executeTool: createToolStub(fixture, calls),
+    // Recordings replay back to back - rate limits would drop messages
+    rateLimiter: null,
+    costLedger: evalLedger,
+    // A channel paused in production would score every turn as silent
+    pausedSessions: new Map(),
+    // Offer the same tools production has, even if this machine lacks their credentials
+    getTools: (profile) => getToolsForProfile(profile, { includeDisabled: true })
+  });
+
+  const results = [];
+  const sessionKeys = new Set();
+  for (const turn of fixture.turns) {
+    const sessionKey = sessionKeyFor(fixture.channelId, turn.threadId);
+    sessionKeys.add(sessionKey);
+
+    let reply;
+    try {
+      reply = await manager.sendMessage(sessionKey, messageText(turn), fixture.channelName, null, {
+        userName: turn.userName,
+        messageId: turn.messageId
+      });
+    } catch (error) {
+      reply = null;
+      console.error(`❌ Replay of ${fixture.name} failed on "${turn.text}": ${error.message}`);
+    }
+
+    const tools = calls
+      .filter(call => call.messageId === turn.messageId)
+      .map(({ toolName, input }) => ({ toolName, input, isError: false }));
+    // A failed replay counts as silent - nothing would have been posted
+    const actual = outcomeOf({ tools, silent: reply ? reply.silent : true });
+
+    results.push({
+      messageId: turn.messageId,
+      userName: turn.userName,
+      text: turn.text,
+      reply: reply?.text ?? null,
+      silenceReason: reply?.reason ?? null,
+      tools,
+      actual,
+      ...scoreTurn(turn, actual)
+    });
+  }
+
+  sessionKeys.forEach(sessionKey => manager.closeSession(sessionKey));
+  return results;
+}
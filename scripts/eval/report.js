@@ -0,0 +1,125 @@
+/**
+ * Eval Reports
+ * Summaries of a replay run and a diff between two runs (e.g. two prompt versions)
+ */
+
+/**
+ * Build a report from replay results
+ * @param {string} label - Version label (e.g. prompt file name)
+ * @param {Array} runs - [{ fixture, turns }] from replayFixture
+ */
+export function buildReport(label, runs, meta = {}) {
+  const fixtures = runs.map(({ fixture, turns }) => ({
+    name: fixture.name,
+    passed: turns.filter(turn => turn.pass).length,
+    total: turns.length,
+    turns
+  }));
+
+  const passed = fixtures.reduce((sum, fixture) => sum + fixture.passed, 0);
+  const total = fixtures.reduce((sum, fixture) => sum + fixture.total, 0);
+
+  return {
+    label,
+    ...meta,
+    createdAt: new Date().toISOString(),
+    passed,
+    total,
+    score: total > 0 ? passed / total : 1,
+    fixtures
+  };
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  return String(value);
+}
+
+function shorten(text, max = 60) {
+  const single = String(text || '').replace(/\s+/g, ' ').trim();
+  return single.length > max ? `${single.substring(0, max - 1)}…` : single;
+}
+
+function failedChecks(turn) {
+  return turn.checks
+    .filter(check => !check.pass)
+    .map(check => `${check.label}: expected ${formatValue(check.expected)}, got ${formatValue(check.actual)}`)
+    .join('; ');
+}
+
+/**
+ * Plain-text summary of one report
+ */
+export function formatSummary(report) {
+  const lines = [`${report.label}: ${report.passed}/${report.total} turns passed (${(report.score * 100).toFixed(1)}%)`];
+
+  for (const fixture of report.fixtures) {
+    lines.push(`  ${fixture.passed === fixture.total ? '✅' : '❌'} ${fixture.name} ${fixture.passed}/${fixture.total}`);
+    for (const turn of fixture.turns.filter(item => !item.pass)) {
+      lines.push(`     - ${turn.userName}: "${shorten(turn.text)}" → ${failedChecks(turn)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Markdown diff between two reports: score change, regressions, improvements
+ * and turns whose behaviour changed while still passing
+ */
+export function diffReports(before, after) {
+  const index = new Map();
+  for (const fixture of before.fixtures) {
+    for (const turn of fixture.turns) {
+      index.set(`${fixture.name}:${turn.messageId}`, turn);
+    }
+  }
+
+  const regressions = [];
+  const improvements = [];
+  const changed = [];
+
+  for (const fixture of after.fixtures) {
+    for (const turn of fixture.turns) {
+      const previous = index.get(`${fixture.name}:${turn.messageId}`);
+      if (!previous) continue;
+
+      const row = { fixture: fixture.name, previous, turn };
+      if (previous.pass && !turn.pass) regressions.push(row);
+      else if (!previous.pass && turn.pass) improvements.push(row);
+      else if (JSON.stringify(previous.actual) !== JSON.stringify(turn.actual)) changed.push(row);
+    }
+  }
+
+  const delta = (after.score - before.score) * 100;
+  const lines = [
+    `# Replay diff: ${before.label} → ${after.label}`,
+    '',
+    `| | ${before.label} | ${after.label} |`,
+    '|---|---|---|',
+    `| Passed | ${before.passed}/${before.total} | ${after.passed}/${after.total} |`,
+    `| Score | ${(before.score * 100).toFixed(1)}% | ${(after.score * 100).toFixed(1)}% (${delta >= 0 ? '+' : ''}${delta.toFixed(1)}) |`,
+    ''
+  ];
+
+  const section = (title, rows, describe) => {
+    lines.push(`## ${title} (${rows.length})`, '');
+    if (rows.length === 0) {
+      lines.push('_none_', '');
+      return;
+    }
+    for (const row of rows) {
+      lines.push(`- **${row.fixture}** ${row.turn.userName}: "${shorten(row.turn.text)}" - ${describe(row)}`);
+    }
+    lines.push('');
+  };
+
+  section('Regressions', regressions, ({ turn }) => failedChecks(turn));
+  section('Improvements', improvements, ({ previous }) => `was: ${failedChecks(previous)}`);
+  section('Changed behaviour', changed, ({ previous, turn }) => Object.keys(turn.actual)
+    .filter(label => JSON.stringify(previous.actual[label]) !== JSON.stringify(turn.actual[label]))
+    .map(label => `${label}: ${formatValue(previous.actual[label])} → ${formatValue(turn.actual[label])}`)
+    .join('; '));
+
+  return lines.join('\n');
+}
@@ -0,0 +1,152 @@
+/**
+ * Fake Anthropic Messages API
+ * Scriptable stand-in for POST /v1/messages (plain JSON and SSE streaming)
+ *
+ * Each API call takes the next scripted response:
+ *   fake.enqueue(toolUse('create_jira_ticket', { title, description }), text('done'))
+ * A response is { content, stop_reason?, usage?, delayMs? }, { error: { status, type, message } },
+ * or a function (requestBody) => one of those. An empty script answers with a short text reply.
+ * delayMs holds the response back, e.g. to keep the agent busy while more messages arrive.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+
+/**
+ * Scripted text reply
+ */
+export function text(value) {
+  return { content: [{ type: 'text', text: value }] };
+}
+
+/**
+ * Scripted tool call (optionally preceded by some text)
+ */
+export function toolUse(name, input, leadingText = null) {
+  const content = [{ type: 'tool_use', id: `toolu_fake_${crypto.randomBytes(6).toString('hex')}`, name, input }];
+  if (leadingText) {
+    content.unshift({ type: 'text', text: leadingText });
+  }
+  return { content };
+}
+
+/**
+ * Scripted API error, e.g. apiError(529, 'overloaded_error')
+ */
+export function apiError(status, type = 'api_error', message = 'Fake API error') {
+  return { error: { status, type, message } };
+}
+
+function estimateTokens(value) {
+  return Math.max(1, Math.ceil(JSON.stringify(value || '').length / 4));
+}
+
+/**
+ * Turn a scripted response into a full Messages API message
+ */
+function toMessage(response, body) {
+  const content = response.content || [];
+  return {
+    id: `msg_fake_${crypto.randomBytes(8).toString('hex')}`,
+    type: 'message',
+    role: 'assistant',
+    model: body.model,
+    content,
+    stop_reason: response.stop_reason || (content.some(block => block.type === 'tool_use') ? 'tool_use' : 'end_turn'),
+    stop_sequence: null,
+    usage: {
+      input_tokens: estimateTokens([body.system, body.messages, body.tools]),
+      output_tokens: estimateTokens(content),
+      cache_creation_input_tokens: 0,
+      cache_read_input_tokens: 0,
+      ...response.usage
+    }
+  };
+}
+
+/**
+ * Write a message as the SSE event sequence the SDK's messages.stream() expects
+ */
+function writeStream(res, message) {
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  send('message_start', {
+    message: { ...message, content: [], stop_reason: null, usage: { ...message.usage, output_tokens: 1 } }
+  });
+
+  message.content.forEach((block, index) => {
+    if (block.type === 'tool_use') {
+      send('content_block_start', { index, content_block: { ...block, input: {} } });
+      send('content_block_delta', { index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(block.input) } });
+    } else {
+      send('content_block_start', { index, content_block: { type: 'text', text: '' } });
+      // A few chunks so text_delta listeners see real streaming
+      for (const chunk of block.text.match(/[\s\S]{1,20}/g) || []) {
+        send('content_block_delta', { index, delta: { type: 'text_delta', text: chunk } });
+      }
+    }
+    send('content_block_stop', { index });
+  });
+
+  send('message_delta', {
+    delta: { stop_reason: message.stop_reason, stop_sequence: null },
+    usage: { output_tokens: message.usage.output_tokens }
+  });
+  send('message_stop', {});
+  res.end();
+}
+
+export function createFakeAnthropic() {
+  const app = express();
+  const state = {
+    app,
+    // Request bodies received, oldest first
+    requests: [],
+    script: [],
+
+    enqueue(...responses) {
+      state.script.push(...responses);
+      return state;
+    },
+
+    reset() {
+      state.requests.length = 0;
+      state.script.length = 0;
+    }
+  };
+
+  app.post('/v1/messages', express.json({ limit: '50mb' }), async (req, res) => {
+    state.requests.push(req.body);
+
+    if (!req.headers['x-api-key'] && !req.headers.authorization) {
+      return res.status(401).json({ type: 'error', error: { type: 'authentication_error', message: 'Missing API key' } });
+    }
+
+    let response = state.script.shift() || text('(fake) nothing scripted for this call');
+    if (typeof response === 'function') {
+      response = response(req.body);
+    }
+    if (response.delayMs) {
+      await new Promise(resolve => setTimeout(resolve, response.delayMs));
+    }
+
+    if (response.error) {
+      const { status, type, message } = response.error;
+      return res.status(status).json({ type: 'error', error: { type, message } });
+    }
+
+    const message = toMessage(response, req.body);
+    if (req.body.stream) {
+      return writeStream(res, message);
+    }
+    res.json(message);
+  });
+
+  return state;
+}
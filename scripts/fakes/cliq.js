@@ -0,0 +1,134 @@
+/**
+ * Fake Cliq
+ * Capturing sink for CLIQ_BOT_WEBHOOK_URL and a file server for attachments, plus helpers that build participation, command and button callback payloads
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { waitFor } from './server.js';
+
+/**
+ * Add timestamp, nonce and signature the way the README's Deluge handlers sign requests
+ */
+function sign(payload, { secret, body, timestamp, nonce }) {
+  payload.timestamp = String(timestamp ?? Math.floor(Date.now() / 1000));
+  payload.nonce = nonce ?? crypto.randomUUID();
+  const { channel_id, channel_name = '', org_id = '', user_name } = payload;
+  payload.signature = crypto.createHmac('sha256', secret)
+    .update(`${payload.timestamp}.${payload.nonce}.${channel_id}.${channel_name}.${org_id}.${user_name}.${body || ''}`)
+    .digest('hex');
+  return payload;
+}
+
+/**
+ * Body Cliq's participation handler (Deluge) posts to /webhook/cliq/participate
+ * With a secret, it is signed the way the README's Deluge handler signs it
+ */
+export function participationPayload({ channelId, channelName, userName, text, file, messageObject = {}, secret = null, timestamp, nonce }) {
+  const payload = {
+    user_name: userName,
+    channel_id: channelId,
+    channel_name: channelName,
+    message_object: JSON.stringify({ text, ...(file && { file }), ...messageObject })
+  };
+  return secret ? sign(payload, { secret, body: payload.message_object, timestamp, nonce }) : payload;
+}
+
+/**
+ * Body the /bugbuster command handler (Deluge) posts to /webhook/cliq/command
+ * Signed like participation requests, with the command arguments in place of message_object
+ */
+export function commandPayload({ channelId, channelName, userName, args = '', secret = null }) {
+  const payload = {
+    arguments: args,
+    user_name: userName,
+    channel_id: channelId,
+    channel_name: channelName
+  };
+  return secret ? sign(payload, { secret, body: args }) : payload;
+}
+
+/**
+ * Body the card button function (Deluge) posts to /webhook/cliq/callback, e.g. action "approve a1b2"
+ */
+export function callbackPayload({ channelId, channelName, userName, action, secret = null }) {
+  const payload = {
+    action,
+    user_name: userName,
+    channel_id: channelId,
+    channel_name: channelName
+  };
+  return secret ? sign(payload, { secret, body: action }) : payload;
+}
+
+export function createFakeCliq() {
+  const app = express();
+  const state = {
+    app,
+    // Webhook posts received: { path, body, receivedAt }
+    messages: [],
+    failures: [],
+    // Files served at /files/<name>: name -> { body: Buffer, contentType }, and who downloaded them
+    files: new Map(),
+    fileRequests: [],
+    // Set by startFakes once listening
+    url: null,
+
+    serveFile(name, body, contentType) {
+      state.files.set(name, { body: Buffer.from(body), contentType });
+      return `${state.url}/files/${encodeURIComponent(name)}`;
+    },
+
+    failNext(status, body = 'Fake Cliq failure') {
+      state.failures.push({ status, body });
+      return state;
+    },
+
+    /**
+     * Texts posted to a channel unique name (or all channels)
+     */
+    texts(channelUniqueName = null) {
+      return state.messages
+        .filter(message => !channelUniqueName || message.body.channel_unique_name === channelUniqueName)
+        .map(message => message.body.text);
+    },
+
+    /**
+     * Resolve once a posted message matches (text substring or predicate)
+     */
+    waitForMessage(match, timeoutMs = 10000) {
+      const predicate = typeof match === 'function'
+        ? match
+        : (message) => String(message.body.text || '').includes(match);
+      return waitFor(() => state.messages.find(predicate), timeoutMs, `Cliq message matching ${match}`);
+    },
+
+    reset() {
+      state.messages.length = 0;
+      state.failures.length = 0;
+      state.files.clear();
+      state.fileRequests.length = 0;
+    }
+  };
+
+  app.get('/files/:name', (req, res) => {
+    state.fileRequests.push({ name: req.params.name, authorization: req.get('Authorization') || null });
+    const file = state.files.get(req.params.name);
+    if (!file) {
+      return res.status(404).send('Not found');
+    }
+    res.type(file.contentType).send(file.body);
+  });
+
+  app.post('*', express.json({ limit: '10mb' }), (req, res) => {
+    const failure = state.failures.shift();
+    if (failure) {
+      return res.status(failure.status).send(failure.body);
+    }
+
+    state.messages.push({ path: req.path, body: req.body, receivedAt: new Date().toISOString() });
+    res.json({ status: 'ok' });
+  });
+
+  return state;
+}
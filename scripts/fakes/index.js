@@ -0,0 +1,63 @@
+/**
+ * Local Fakes
+ * In-process stand-ins for Anthropic, Jira, Cliq and Recall.ai so message → tool → reply
+ * flows run offline. Each fake listens on a random local port; `env` holds the base URLs
+ * (and dummy credentials) to point BugBuster at them.
+ *
+ *   const fakes = await startFakes();
+ *   Object.assign(process.env, fakes.env);   // before importing src/
+ *   fakes.anthropic.enqueue(toolUse(...), text(...));
+ *   ...
+ *   await fakes.close();
+ */
+
+import { listen } from './server.js';
+import { createFakeAnthropic } from './anthropic.js';
+import { createFakeJira } from './jira.js';
+import { createFakeCliq } from './cliq.js';
+import { createFakeRecall } from './recall.js';
+
+export { text, toolUse, apiError } from './anthropic.js';
+export { participationPayload, commandPayload, callbackPayload } from './cliq.js';
+export { waitFor } from './server.js';
+
+export async function startFakes({ recallWebhookSecret = null, cliqWebhookSecret = null } = {}) {
+  const anthropic = createFakeAnthropic();
+  const jira = createFakeJira();
+  const cliq = createFakeCliq();
+  const recall = createFakeRecall({ webhookSecret: recallWebhookSecret });
+
+  const servers = await Promise.all([anthropic, jira, cliq, recall].map(fake => listen(fake.app)));
+  const [anthropicServer, jiraServer, cliqServer, recallServer] = servers;
+  cliq.url = cliqServer.url;
+
+  return {
+    anthropic,
+    jira,
+    cliq,
+    recall,
+    env: {
+      ANTHROPIC_BASE_URL: anthropicServer.url,
+      ANTHROPIC_API_KEY: 'sk-ant-fake',
+      JIRA_BASE_URL: jiraServer.url,
+      JIRA_EMAIL: 'bugbuster@example.com',
+      JIRA_API_TOKEN: 'fake-jira-token',
+      JIRA_PROJECT_KEY: 'BUG',
+      CLIQ_BOT_WEBHOOK_URL: `${cliqServer.url}/webhook`,
+      CLIQ_ACCESS_TOKEN: 'fake-cliq-token',
+      CLIQ_FILE_HOSTS: '127.0.0.1',
+      RECALL_API_URL: `${recallServer.url}/api/v1`,
+      RECALL_AI_API_KEY: 'fake-recall-key',
+      ...(recallWebhookSecret && { RECALL_WEBHOOK_SECRET: recallWebhookSecret }),
+      ...(cliqWebhookSecret && { CLIQ_WEBHOOK_SECRET: cliqWebhookSecret })
+    },
+
+    reset() {
+      [anthropic, jira, cliq, recall].forEach(fake => fake.reset());
+    },
+
+    async close() {
+      await Promise.all(servers.map(server => server.close()));
+    }
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Fake Jira REST API
+ * Enough of /rest/api/{2,3}/issue for create_jira_ticket and the bulk ticket script
+ */
+
+import express from 'express';
+
+export function createFakeJira() {
+  const app = express();
+  let nextId = 10000;
+  const counters = new Map();
+  const state = {
+    app,
+    // Created issues: { id, key, fields, createdAt }
+    issues: [],
+    // Scripted failures for the next create calls: { status, body }
+    failures: [],
+
+    failNext(status, body = { errorMessages: ['Fake Jira failure'], errors: {} }) {
+      state.failures.push({ status, body });
+      return state;
+    },
+
+    reset() {
+      state.issues.length = 0;
+      state.failures.length = 0;
+      counters.clear();
+    }
+  };
+
+  app.use(express.json({ limit: '10mb' }));
+
+  // Basic auth is required like the real thing (credentials aren't checked)
+  app.use((req, res, next) => {
+    if (!req.headers.authorization?.startsWith('Basic ')) {
+      return res.status(401).json({ errorMessages: ['You are not authenticated'], errors: {} });
+    }
+    next();
+  });
+
+  app.post('/rest/api/:version/issue', (req, res) => {
+    const failure = state.failures.shift();
+    if (failure) {
+      return res.status(failure.status).json(failure.body);
+    }
+
+    const fields = req.body?.fields || {};
+    const errors = {};
+    if (!fields.project?.key) errors.project = 'project is required';
+    if (!fields.summary) errors.summary = 'You must specify a summary of the issue.';
+    if (!fields.issuetype?.name) errors.issuetype = 'issue type is required';
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({ errorMessages: [], errors });
+    }
+
+    const projectKey = fields.project.key;
+    const number = (counters.get(projectKey) || 0) + 1;
+    counters.set(projectKey, number);
+
+    const issue = {
+      id: String(nextId++),
+      key: `${projectKey}-${number}`,
+      fields,
+      createdAt: new Date().toISOString()
+    };
+    state.issues.push(issue);
+
+    res.status(201).json({
+      id: issue.id,
+      key: issue.key,
+      self: `${req.protocol}://${req.get('host')}/rest/api/${req.params.version}/issue/${issue.id}`
+    });
+  });
+
+  app.get('/rest/api/:version/issue/:idOrKey', (req, res) => {
+    const issue = state.issues.find(item => item.key === req.params.idOrKey || item.id === req.params.idOrKey);
+    if (!issue) {
+      return res.status(404).json({ errorMessages: ['Issue does not exist or you do not have permission to see it.'], errors: {} });
+    }
+    res.json({ id: issue.id, key: issue.key, fields: issue.fields });
+  });
+
+  return state;
+}
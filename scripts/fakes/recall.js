@@ -0,0 +1,133 @@
+/**
+ * Fake Recall.ai
+ * Bot API (create / get / delete / send_chat_message) and an emitter for the
+ * webhooks Recall would send to /meet/webhook
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { waitFor } from './server.js';
+
+export function createFakeRecall({ webhookSecret = null } = {}) {
+  const app = express();
+  const state = {
+    app,
+    // Map: botId -> { id, meeting_url, bot_name, webhookUrl, status, deleted }
+    bots: new Map(),
+    // Chat messages the app sent into meetings: { botId, message, receivedAt }
+    chatMessages: [],
+
+    /**
+     * Resolve once a bot has been created (returns the bot)
+     */
+    waitForBot(timeoutMs = 10000) {
+      return waitFor(() => Array.from(state.bots.values()).find(bot => !bot.deleted), timeoutMs, 'Recall bot');
+    },
+
+    /**
+     * Resolve once a meeting chat message matches (text substring or predicate)
+     */
+    waitForChatMessage(match, timeoutMs = 15000) {
+      const predicate = typeof match === 'function'
+        ? match
+        : (chat) => chat.message.includes(match);
+      return waitFor(() => state.chatMessages.find(predicate), timeoutMs, `Meet chat message matching ${match}`);
+    },
+
+    /**
+     * Send a webhook to the URL the bot was created with
+     */
+    async emit(botId, payload) {
+      const bot = state.bots.get(botId);
+      if (!bot?.webhookUrl) {
+        throw new Error(`Bot ${botId} has no webhook URL`);
+      }
+
+      const headers = { 'Content-Type': 'application/json' };
+      if (webhookSecret) {
+        const digest = crypto.createHmac('sha256', webhookSecret).update(JSON.stringify(payload)).digest('hex');
+        headers['recall-signature'] = `sha256=${digest}`;
+      }
+
+      const response = await fetch(bot.webhookUrl, { method: 'POST', headers, body: JSON.stringify(payload) });
+      return response.status;
+    },
+
+    /**
+     * Real-time transcript webhook (transcript.data, or transcript.partial_data)
+     */
+    emitTranscript(botId, { speaker, text, partial = false }) {
+      return state.emit(botId, {
+        event: partial ? 'transcript.partial_data' : 'transcript.data',
+        data: {
+          bot: { id: botId },
+          data: {
+            words: text.split(/\s+/).filter(Boolean).map(word => ({ text: word })),
+            participant: { name: speaker }
+          }
+        }
+      });
+    },
+
+    emitStatusChange(botId, code) {
+      state.bots.get(botId).status = code;
+      return state.emit(botId, { event: { code: 'bot.status_change' }, data: { bot_id: botId, status: { code } } });
+    },
+
+    emitMeetingEnded(botId) {
+      return state.emit(botId, { event: { code: 'bot.meeting_ended' }, data: { bot_id: botId } });
+    },
+
+    reset() {
+      state.bots.clear();
+      state.chatMessages.length = 0;
+    }
+  };
+
+  app.use(express.json({ limit: '10mb' }));
+
+  app.use((req, res, next) => {
+    if (!req.headers.authorization?.startsWith('Token ')) {
+      return res.status(401).json({ detail: 'Authentication credentials were not provided.' });
+    }
+    next();
+  });
+
+  app.post('/api/v1/bot', (req, res) => {
+    if (!req.body?.meeting_url) {
+      return res.status(400).json({ meeting_url: ['This field is required.'] });
+    }
+
+    const bot = {
+      id: crypto.randomUUID(),
+      meeting_url: req.body.meeting_url,
+      bot_name: req.body.bot_name,
+      webhookUrl: req.body.recording_config?.realtime_endpoints?.[0]?.url || null,
+      status: 'joining_call',
+      deleted: false
+    };
+    state.bots.set(bot.id, bot);
+    res.status(201).json({ id: bot.id, meeting_url: bot.meeting_url, bot_name: bot.bot_name });
+  });
+
+  app.get('/api/v1/bot/:id', (req, res) => {
+    const bot = state.bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: 'Not found.' });
+    res.json({ id: bot.id, meeting_url: bot.meeting_url, bot_name: bot.bot_name, status_changes: [{ code: bot.status }] });
+  });
+
+  app.delete('/api/v1/bot/:id', (req, res) => {
+    const bot = state.bots.get(req.params.id);
+    if (!bot) return res.status(404).json({ detail: 'Not found.' });
+    bot.deleted = true;
+    res.status(204).end();
+  });
+
+  app.post('/api/v1/bot/:id/send_chat_message', (req, res) => {
+    if (!state.bots.has(req.params.id)) return res.status(404).json({ detail: 'Not found.' });
+    state.chatMessages.push({ botId: req.params.id, message: req.body.message, receivedAt: new Date().toISOString() });
+    res.json({ ok: true });
+  });
+
+  return state;
+}
@@ -0,0 +1,41 @@
+/**
+ * Helpers shared by the fakes
+ */
+
+import http from 'http';
+
+/**
+ * Listen on a random local port
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+export function listen(app) {
+  return new Promise((resolve, reject) => {
+    const server = http.createServer(app);
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        close: () => new Promise(done => {
+          server.closeAllConnections();
+          server.close(() => done());
+        })
+      });
+    });
+  });
+}
+
+/**
+ * Poll until check() returns (or resolves to) something truthy
+ */
+export async function waitFor(check, timeoutMs = 10000, label = 'condition') {
+  const deadline = Date.now() + timeoutMs;
+
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+
+  throw new Error(`Timed out after ${timeoutMs}ms waiting for ${label}`);
+}
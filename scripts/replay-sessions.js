@@ -0,0 +1,130 @@
+#!/usr/bin/env node
+
+/**
+ * Replay recorded Cliq sessions and score how BugBuster behaves
+ *
+ * Record real sessions by running the app with RECORD_SESSIONS_DIR=fixtures/sessions,
+ * then replay them against one or two prompt versions (tools are stubbed with the
+ * recorded results, Claude is called for real):
+ *
+ *   node scripts/replay-sessions.js fixtures/sessions
+ *   node scripts/replay-sessions.js fixtures/sessions --prompt .claude/CLAUDE.md --prompt /tmp/CLAUDE.new.md
+ *   node scripts/replay-sessions.js diff data/eval/report-a.json data/eval/report-b.json
+ *
+ * Options:
+ *   --prompt <file>   system prompt to test (repeat for a second version; default .claude/CLAUDE.md)
+ *   --memory <file>   memory file appended to the prompt (default agent-memory.md)
+ *   --out <dir>       where reports go (default data/eval)
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Keep replays away from production state: persisted sessions, cost ledger and budgets,
+// paused channels, reply decisions and session recordings (set before the app is imported)
+process.env.SESSION_STORE = 'memory';
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bugbuster-eval-'));
+delete process.env.RECORD_SESSIONS_DIR;
+
+const { loadFixtures, replayFixture } = await import('./eval/harness.js');
+const { buildReport, formatSummary, diffReports } = await import('./eval/report.js');
+
+function parseArgs(argv) {
+  const options = { targets: [], prompts: [], memory: null, out: path.resolve('data', 'eval') };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--prompt') options.prompts.push(path.resolve(argv[++i]));
+    else if (arg === '--memory') options.memory = path.resolve(argv[++i]);
+    else if (arg === '--out') options.out = path.resolve(argv[++i]);
+    else options.targets.push(arg);
+  }
+
+  return options;
+}
+
+/**
+ * Labels for prompt versions - file names, or A/B prefixed when they clash
+ */
+function versionLabels(prompts) {
+  const names = prompts.map(file => path.basename(file, path.extname(file)));
+  return new Set(names).size === names.length
+    ? names
+    : names.map((name, index) => `${String.fromCharCode(65 + index)}-${name}`);
+}
+
+async function runDiff([beforeFile, afterFile]) {
+  if (!beforeFile || !afterFile) {
+    console.error('Usage: node scripts/replay-sessions.js diff <report-a.json> <report-b.json>');
+    process.exit(1);
+  }
+
+  const before = JSON.parse(fs.readFileSync(beforeFile, 'utf-8'));
+  const after = JSON.parse(fs.readFileSync(afterFile, 'utf-8'));
+  console.log(diffReports(before, after));
+}
+
+async function runReplay(options) {
+  const [target] = options.targets;
+  if (!target) {
+    console.error('Usage: node scripts/replay-sessions.js <fixture file or dir> [--prompt file]... [--memory file] [--out dir]');
+    process.exit(1);
+  }
+
+  const fixtures = loadFixtures(target);
+  const turnCount = fixtures.reduce((sum, fixture) => sum + fixture.turns.length, 0);
+  console.log(`📼 Loaded ${fixtures.length} recorded sessions (${turnCount} messages)`);
+
+  const prompts = options.prompts.length > 0 ? options.prompts : [path.resolve('.claude', 'CLAUDE.md')];
+  const labels = versionLabels(prompts);
+  fs.mkdirSync(options.out, { recursive: true });
+
+  const reports = [];
+  for (const [index, claudeMdPath] of prompts.entries()) {
+    console.log(`\n▶️  Replaying with ${claudeMdPath}`);
+
+    const runs = [];
+    for (const fixture of fixtures) {
+      console.log(`   ${fixture.name} (${fixture.turns.length} messages)`);
+      const turns = await replayFixture(fixture, {
+        claudeMdPath,
+        ...(options.memory && { memoryPath: options.memory })
+      });
+      runs.push({ fixture, turns });
+    }
+
+    const report = buildReport(labels[index], runs, { prompt: claudeMdPath, source: target });
+    const reportFile = path.join(options.out, `report-${labels[index]}.json`);
+    fs.writeFileSync(reportFile, JSON.stringify(report, null, 2), 'utf-8');
+    reports.push(report);
+
+    console.log(`\n${formatSummary(report)}`);
+    console.log(`📄 Report: ${reportFile}`);
+  }
+
+  if (reports.length === 2) {
+    const diff = diffReports(reports[0], reports[1]);
+    const diffFile = path.join(options.out, `diff-${labels[0]}-vs-${labels[1]}.md`);
+    fs.writeFileSync(diffFile, diff, 'utf-8');
+
+    console.log(`\n${diff}`);
+    console.log(`📄 Diff: ${diffFile}`);
+  }
+}
+
+const [command, ...rest] = process.argv.slice(2);
+
+try {
+  if (command === 'diff') {
+    await runDiff(rest);
+  } else {
+    await runReplay(parseArgs(process.argv.slice(2)));
+  }
+  // Replayed sessions leave inactivity timers behind
+  process.exit(0);
+} catch (error) {
+  console.error('❌ Replay failed:', error);
+  process.exit(1);
+}
@@ -0,0 +1,451 @@
+#!/usr/bin/env node
+
+/**
+ * Offline Flow Runner
+ * Boots BugBuster against the local fakes (scripts/fakes) and runs end-to-end
+ * message → tool → reply scenarios without any live accounts.
+ *
+ * Usage:
+ *   node scripts/run-offline.js            # run all scenarios
+ *   node scripts/run-offline.js meet       # only scenarios whose name contains "meet"
+ *   node scripts/run-offline.js --verbose  # show app logs live (otherwise only on failure)
+ *
+ * Exits non-zero if any scenario fails.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { startFakes, text, toolUse, participationPayload, commandPayload, callbackPayload, waitFor } from './fakes/index.js';
+
+const args = process.argv.slice(2);
+const verbose = args.includes('--verbose');
+const filter = args.find(arg => !arg.startsWith('--'));
+const PORT = process.env.OFFLINE_PORT || '3902';
+const APP_URL = `http://127.0.0.1:${PORT}`;
+
+const CHANNEL = { channelId: 'CT_offline_1', channelName: '#offline-test', uniqueName: 'offlinetest' };
+// Participation requests are signed like the Deluge handler signs them
+const CLIQ_SECRET = 'offline-cliq-secret';
+const ADMIN_KEY = 'offline-admin-key';
+
+// App logs are kept quiet unless something fails
+const appLogs = [];
+const print = (line = '') => process.stdout.write(`${line}\n`);
+if (!verbose) {
+  for (const level of ['log', 'warn', 'error']) {
+    console[level] = (...parts) => appLogs.push(parts.map(part => (typeof part === 'string' ? part : JSON.stringify(part))).join(' '));
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function postParticipation(payload) {
+  return fetch(`${APP_URL}/webhook/cliq/participate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  });
+}
+
+async function participate(message) {
+  const response = await postParticipation(participationPayload({ ...CHANNEL, secret: CLIQ_SECRET, ...message }));
+  assert(response.ok, `participate returned ${response.status}`);
+}
+
+async function clickButton(userName, action) {
+  const response = await fetch(`${APP_URL}/webhook/cliq/callback`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(callbackPayload({ ...CHANNEL, secret: CLIQ_SECRET, userName, action }))
+  });
+  assert(response.ok, `callback returned ${response.status}`);
+  return (await response.json()).text;
+}
+
+async function command(userName, args) {
+  const response = await fetch(`${APP_URL}/webhook/cliq/command`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(commandPayload({ ...CHANNEL, secret: CLIQ_SECRET, userName, args }))
+  });
+  assert(response.ok, `command returned ${response.status}`);
+  return (await response.json()).text;
+}
+
+/**
+ * Scenarios get the fakes and drive the app through its public endpoints
+ */
+const scenarios = [
+  {
+    name: 'cliq: bug report → approval → jira ticket → reply',
+    async run({ anthropic, jira, cliq }) {
+      anthropic.enqueue(
+        toolUse('create_jira_ticket', {
+          title: 'Login page returns 500',
+          description: 'POST /login fails with 500 since this morning',
+          priority: 'High'
+        }, 'ugh ok lemme file that'),
+        (request) => {
+          const lastTurn = request.messages[request.messages.length - 1];
+          const result = lastTurn.content.find(block => block.type === 'tool_result');
+          const key = String(result?.content).match(/BUG-\d+/)?.[0] || 'no ticket';
+          return text(`filed it: ${key}`);
+        }
+      );
+
+      await participate({ userName: 'Alex', text: 'login is throwing 500s, can u make a ticket' });
+
+      const prompt = await cliq.waitForMessage('approval needed');
+      const approvalId = prompt.body.text.match(/approve ([a-f0-9]{4})/)[1];
+      await participate({ userName: 'Alex', text: `approve ${approvalId}` });
+      await cliq.waitForMessage('someone else has to approve');
+      await participate({ userName: 'Sam', text: `approve ${approvalId}` });
+
+      await cliq.waitForMessage('filed it: BUG-1');
+      assert(jira.issues.length === 1, `expected 1 Jira issue, got ${jira.issues.length}`);
+      assert(jira.issues[0].fields.priority.name === 'High', 'Jira issue should keep the priority');
+      assert(anthropic.requests.every(request => request.stream), 'agent should stream every call');
+    }
+  },
+  {
+    name: 'cliq: approve button → callback → ticket card',
+    async run({ anthropic, jira, cliq }) {
+      anthropic.enqueue(
+        toolUse('create_jira_ticket', { title: 'Export times out', description: 'CSV export hangs', priority: 'Low' }),
+        text('done')
+      );
+
+      await participate({ userName: 'Sam', text: 'csv export hangs forever, ticket pls' });
+
+      const prompt = await cliq.waitForMessage('approval needed');
+      const approve = prompt.body.buttons?.find(button => button.label === 'Approve');
+      assert(approve?.arguments?.action?.startsWith('approve '), 'approval prompt should carry an Approve button');
+
+      const answer = await clickButton('Alex', approve.arguments.action);
+      assert(answer.includes('approved'), `button click should approve, got: ${answer}`);
+
+      const card = await cliq.waitForMessage('BUG-1 created');
+      assert(card.body.card?.title.startsWith('🎫 BUG-1'), 'ticket should be posted as a card');
+      assert(card.body.buttons?.[0]?.action?.data?.web.endsWith('/browse/BUG-1'), 'card should link to the ticket');
+      await cliq.waitForMessage('done');
+      assert(jira.issues.length === 1, `expected 1 Jira issue, got ${jira.issues.length}`);
+
+      assert((await clickButton('Alex', approve.arguments.action)).includes('too late'), 'second click should be refused');
+    }
+  },
+  {
+    name: 'cliq: attachments → image, PDF, log and HAR summary reach Claude',
+    async run({ anthropic, cliq }) {
+      const har = {
+        log: {
+          pages: [{ title: 'Checkout' }],
+          entries: [
+            { request: { method: 'GET', url: 'https://app.example.com/' }, response: { status: 200 }, time: 120 },
+            { request: { method: 'POST', url: 'https://app.example.com/api/pay?token=abc123' }, response: { status: 502, content: { text: 'Bad Gateway' } }, time: 30100 },
+            { request: { method: 'GET', url: 'https://app.example.com/api/cart' }, response: { status: 200 }, time: 4200, timings: { wait: 4000 } }
+          ]
+        }
+      };
+      const files = [
+        { name: 'screen.png', type: 'image/png', url: cliq.serveFile('screen.png', Buffer.from('89504e470d0a1a0a', 'hex'), 'image/png') },
+        { name: 'invoice.pdf', type: 'application/pdf', url: cliq.serveFile('invoice.pdf', '%PDF-1.4 fake', 'application/pdf') },
+        { name: 'api.log', type: 'text/plain', url: cliq.serveFile('api.log', 'boot ok\nDB_PASSWORD=hunter2\nERROR payment timeout', 'text/plain') },
+        { name: 'checkout.har', type: 'application/octet-stream', url: cliq.serveFile('checkout.har', JSON.stringify(har), 'application/octet-stream') }
+      ];
+      anthropic.enqueue(text('payment API is timing out'));
+
+      await participate({ userName: 'Sam', text: 'checkout broke, see files', messageObject: { files } });
+      await cliq.waitForMessage('timing out');
+
+      const content = anthropic.requests[0].messages[0].content;
+      const texts = content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+      assert(content.some(block => block.type === 'image' && block.source.media_type === 'image/png'), 'image should be an image block');
+      assert(content.some(block => block.type === 'document' && block.title === 'invoice.pdf'), 'PDF should be a document block');
+      assert(texts.includes('ERROR payment timeout') && !texts.includes('hunter2'), 'log should be inlined with secrets redacted');
+      assert(texts.includes('POST https://app.example.com/api/pay?token=[REDACTED] → 502'), 'HAR summary should list the failed call');
+      assert(texts.includes('GET https://app.example.com/api/cart → 200 (4200 ms)'), 'HAR summary should list the slow call');
+      assert(cliq.fileRequests.length === 4 && cliq.fileRequests.every(request => request.authorization === 'Zoho-oauthtoken fake-cliq-token'),
+        'files should be downloaded with the Cliq token');
+    }
+  },
+  {
+    name: 'cliq: chit-chat → stay_silent → nothing posted',
+    async run({ anthropic, cliq }) {
+      anthropic.enqueue(
+        toolUse('stay_silent', { reason: 'people chatting about lunch' }, 'this text must not be posted'),
+        (request) => {
+          // The unanswered stay_silent call is resolved at the start of the next user turn
+          const lastTurn = request.messages[request.messages.length - 1];
+          assert(lastTurn.content[0]?.type === 'tool_result', 'next turn should lead with the stay_silent result');
+          return text('yep, prod is up');
+        }
+      );
+
+      await participate({ userName: 'Alex', text: 'going to lunch, want anything?' });
+      await waitFor(() => anthropic.requests.length === 1, 5000, 'first API call');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert(cliq.messages.length === 0, `expected nothing posted, got: ${cliq.texts().join(' | ')}`);
+
+      await participate({ userName: 'Sam', text: 'bugbuster is prod up?' });
+      await cliq.waitForMessage('prod is up');
+      assert(cliq.messages.length === 1, 'only the second reply should be posted');
+    }
+  },
+  {
+    name: 'cliq: silent turn after a tool → no result card, legacy [SILENT] → nothing posted',
+    async run({ anthropic, jira, cliq }) {
+      anthropic.enqueue(
+        toolUse('create_jira_ticket', { title: 'Cache stale', description: 'Old prices shown', priority: 'Low' }),
+        toolUse('stay_silent', { reason: 'ticket filed, nothing to add' }),
+        text('[SILENT]')
+      );
+
+      await participate({ userName: 'Alex', text: 'prices look stale, file it quietly' });
+      const prompt = await cliq.waitForMessage('approval needed');
+      await participate({ userName: 'Sam', text: `approve ${prompt.body.text.match(/approve ([a-f0-9]{4})/)[1]}` });
+      await waitFor(() => anthropic.requests.length === 2, 5000, 'call after the ticket');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert(jira.issues.length === 1, 'the ticket should still be filed');
+      assert(!cliq.texts().some(text => text.includes('BUG-1 created')), `no card after a silent turn, got: ${cliq.texts().join(' | ')}`);
+
+      const posted = cliq.messages.length;
+      await participate({ userName: 'Sam', text: 'lol ok' });
+      await waitFor(() => anthropic.requests.length === 3, 5000, 'third API call');
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert(cliq.messages.length === posted, `[SILENT] should not be posted, got: ${cliq.texts().join(' | ')}`);
+    }
+  },
+  {
+    name: 'cliq: thread message → own session → reply in the thread',
+    async run({ anthropic, cliq }) {
+      anthropic.enqueue(
+        text('channel reply'),
+        (request) => {
+          // The thread starts fresh - it doesn't see the channel conversation
+          assert(request.messages.length === 1, `thread session should be new, got ${request.messages.length} turns`);
+          return text('thread reply');
+        }
+      );
+
+      await participate({ userName: 'Alex', text: 'bugbuster is staging up?' });
+      await cliq.waitForMessage('channel reply');
+
+      await participate({ userName: 'Sam', text: 'bugbuster check the deploy', messageObject: { thread_message_id: 'TH_1' } });
+      const reply = await cliq.waitForMessage('thread reply');
+      assert(reply.body.thread_message_id === 'TH_1', 'reply should be posted into the thread');
+      assert(!cliq.messages[0].body.thread_message_id, 'channel reply should not go to a thread');
+    }
+  },
+  {
+    name: 'cliq: unsigned, forged, stale and replayed requests → 401',
+    async run({ anthropic, cliq }) {
+      const message = { ...CHANNEL, userName: 'Mallory', text: 'bugbuster run docker restart api' };
+      const signed = participationPayload({ ...message, secret: CLIQ_SECRET });
+      const tamperedMessage = (extra) => JSON.stringify({ ...JSON.parse(signed.message_object), ...extra });
+
+      const attempts = {
+        unsigned: participationPayload(message),
+        forged: { ...signed, user_name: 'Alex' },
+        'renamed channel': { ...signed, channel_name: 'other-channel' },
+        'added attachment': { ...signed, message_object: tamperedMessage({ file: { name: 'x.sh', url: 'http://127.0.0.1:1/x.sh' } }) },
+        'moved thread': { ...signed, message_object: tamperedMessage({ thread_message_id: 'TH_OTHER' }) },
+        stale: participationPayload({ ...message, secret: CLIQ_SECRET, timestamp: Math.floor(Date.now() / 1000) - 3600 })
+      };
+      for (const [label, payload] of Object.entries(attempts)) {
+        const response = await postParticipation(payload);
+        assert(response.status === 401, `${label} request should get 401, got ${response.status}`);
+      }
+
+      anthropic.enqueue(text('on it'));
+      assert((await postParticipation(signed)).ok, 'signed request should be accepted');
+      const replay = await postParticipation(signed);
+      assert(replay.status === 401, `replayed request should get 401, got ${replay.status}`);
+
+      await cliq.waitForMessage('on it');
+      assert(anthropic.requests.length === 1, 'only the signed request should reach the agent');
+    }
+  },
+  {
+    name: 'cliq: message flood → queue capped, rate limited, one notice each',
+    async run({ anthropic, cliq, rateLimiter }) {
+      Object.assign(rateLimiter, { userLimit: 3, maxQueueDepth: 1 });
+      anthropic.enqueue({ ...text('first'), delayMs: 500 }, text('second'));
+
+      await participate({ userName: 'Alex', text: 'msg 1' });
+      await waitFor(() => anthropic.requests.length === 1, 5000, 'first API call');
+      await participate({ userName: 'Alex', text: 'msg 2' });   // queued
+      await participate({ userName: 'Sam', text: 'msg 3' });    // queue full
+      await participate({ userName: 'Sam', text: 'msg 4' });    // queue full, already told
+      await cliq.waitForMessage('second');
+
+      await participate({ userName: 'Alex', text: 'msg 5' });   // 3rd for Alex - still allowed
+      await cliq.waitForMessage('(fake)');
+      await participate({ userName: 'Alex', text: 'msg 6' });   // over the user limit
+      await participate({ userName: 'Alex', text: 'msg 7' });   // over, already told
+      await cliq.waitForMessage('faster than i can keep up');
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      const notices = cliq.texts().filter(posted => posted.includes('🙏'));
+      assert(notices.length === 2, `expected one queue and one rate limit notice, got: ${notices.join(' | ')}`);
+      assert(anthropic.requests.length === 3, `only 3 messages should reach the agent, got ${anthropic.requests.length}`);
+    }
+  },
+  {
+    name: 'cliq: webhook failures → retried in order, long reply split, dead letter redelivered',
+    async run({ anthropic, cliq }) {
+      const longReply = Array.from({ length: 30 }, (_, index) => `paragraph ${index} ${'x'.repeat(280)}`).join('\n\n');
+      anthropic.enqueue(text('first reply'), text(longReply));
+      cliq.failNext(503).failNext(502);
+
+      // The second reply is ready while the first one is still being retried
+      await participate({ userName: 'Alex', text: 'msg 1' });
+      await participate({ userName: 'Alex', text: 'msg 2' });
+      await cliq.waitForMessage('paragraph 29');
+
+      const texts = cliq.texts();
+      const parts = texts.filter(posted => posted.startsWith('paragraph'));
+      assert(texts[0] === 'first reply', 'retried reply should still come first');
+      assert(parts.length === 3 && parts.every(part => part.length <= 4000), `long reply should be 3 parts, got ${parts.map(part => part.length)}`);
+      assert(parts.join('\n\n') === longReply, 'parts should add up to the reply, in order');
+
+      const admin = (url, options = {}) => fetch(`${APP_URL}/admin${url}`, { ...options, headers: { 'X-Admin-Key': ADMIN_KEY } });
+      cliq.failNext(400);
+      anthropic.enqueue(text('lost reply'));
+      await participate({ userName: 'Alex', text: 'msg 3' });
+
+      const deadLetters = await waitFor(async () => {
+        const body = await (await admin('/dead-letters')).json();
+        return body.count === 1 && body.deadLetters;
+      }, 5000, 'dead letter');
+      assert(deadLetters[0].payloads[0].text === 'lost reply', 'dead letter should keep the message');
+
+      const redelivered = await admin(`/dead-letters/${deadLetters[0].id}/redeliver`, { method: 'POST' });
+      assert(redelivered.ok, `redeliver returned ${redelivered.status}`);
+      await cliq.waitForMessage('lost reply');
+      assert((await (await admin('/dead-letters')).json()).count === 0, 'redelivered message should leave the store');
+    }
+  },
+  {
+    name: 'cliq: /bugbuster status, cost and reset (admins only)',
+    async run({ anthropic, cliq }) {
+      anthropic.enqueue(text('staging is up'));
+      await participate({ userName: 'Alex', text: 'bugbuster is staging up?' });
+      await cliq.waitForMessage('staging is up');
+
+      const status = await command('Sam', 'status');
+      assert(status.includes('channel: 2 messages in history'), `status should list the channel session, got: ${status}`);
+      assert((await command('Sam', 'cost')).includes('this channel: today $'), 'cost should show channel spend');
+      assert((await command('Sam', 'dance')).includes('/bugbuster reset'), 'unknown commands should get the help');
+
+      const denied = await command('Mallory', 'reset');
+      assert(denied.includes('only admins'), `non-admin reset should be refused, got: ${denied}`);
+      assert((await command('Alex', 'reset')).includes('forgot'), 'admin reset should clear the session');
+      assert((await command('Sam', 'status')).includes('no conversation'), 'status should be empty after reset');
+    }
+  },
+  {
+    name: 'meet: join → transcript → chat reply → meeting ended',
+    async run({ anthropic, cliq, recall }) {
+      anthropic.enqueue(
+        toolUse('join_google_meet', { meeting_url: 'https://meet.google.com/abc-defg-hij' }),
+        text('joining now')
+      );
+
+      await participate({ userName: 'Sam', text: 'join https://meet.google.com/abc-defg-hij' });
+
+      const bot = await recall.waitForBot();
+      await recall.emitStatusChange(bot.id, 'in_call_not_recording');
+      await cliq.waitForMessage('joined the meeting');
+
+      anthropic.enqueue(text('api looks healthy from here'));
+      await recall.emitTranscript(bot.id, { speaker: 'Sam', text: 'hey bugbuster is the api up' });
+      await recall.waitForChatMessage('api looks healthy');
+
+      await recall.emitMeetingEnded(bot.id);
+      await cliq.waitForMessage('meeting ended');
+    }
+  },
+  {
+    name: 'metrics: scrape shows API calls, tools and webhook posts',
+    async run({ anthropic, cliq }) {
+      // Missing category - rejected by schema validation, so nothing touches agent-memory.md
+      anthropic.enqueue(toolUse('update_memory', { note: 'offline runs use fakes' }), text('noted'));
+      await participate({ userName: 'Alex', text: 'remember that offline runs use fakes' });
+      await cliq.waitForMessage('noted');
+
+      const response = await fetch(`${APP_URL}/metrics`);
+      const body = await response.text();
+      assert(response.ok, `/metrics returned ${response.status}`);
+      for (const series of [
+        'bugbuster_anthropic_request_duration_seconds_count{model=',
+        'bugbuster_anthropic_tokens_total{model=',
+        'bugbuster_tool_executions_total{outcome="rejected",tool="update_memory"}',
+        'bugbuster_cliq_webhook_requests_total{outcome="success"}',
+        'bugbuster_active_sessions 1'
+      ]) {
+        assert(body.includes(series), `metrics should include ${series}`);
+      }
+      assert(!body.includes('bugbuster_queue_depth{'), 'drained queues should not leave queue depth series behind');
+    }
+  }
+];
+
+async function main() {
+  const fakes = await startFakes({ cliqWebhookSecret: CLIQ_SECRET });
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'bugbuster-offline-'));
+
+  // Must be set before the app is imported - modules read config at import time
+  Object.assign(process.env, fakes.env, {
+    PORT,
+    DATA_DIR: dataDir,
+    SESSION_STORE: 'memory',
+    CLIQ_PROGRESS_UPDATES: 'false',
+    CLIQ_COMMAND_ADMINS: 'Alex',
+    APPROVAL_USERS: 'Alex,Sam',
+    CLIQ_DELIVERY_BASE_DELAY_MS: '100',
+    ADMIN_API_KEY: ADMIN_KEY,
+    // Keep the developer's .env out of offline runs
+    DOTENV_CONFIG_PATH: path.join(dataDir, '.env')
+  });
+
+  await import('../src/server.js');
+  const { agentManager } = await import('../src/services/bugbuster-manager.js');
+  const { rateLimiter } = await import('../src/services/rate-limiter.js');
+  const limits = { ...rateLimiter };
+
+  const selected = scenarios.filter(scenario => !filter || scenario.name.includes(filter));
+  let failed = 0;
+
+  for (const scenario of selected) {
+    fakes.reset();
+    Object.assign(rateLimiter, limits, { hits: new Map(), noticesSentAt: new Map() });
+    agentManager.getActiveChannels().forEach(sessionKey => agentManager.closeSession(sessionKey));
+    appLogs.length = 0;
+
+    try {
+      await scenario.run({ ...fakes, rateLimiter });
+      print(`✅ ${scenario.name}`);
+    } catch (error) {
+      failed++;
+      print(`❌ ${scenario.name}\n   ${error.message}`);
+      if (!verbose) {
+        print('   --- app log ---');
+        appLogs.slice(-60).forEach(line => print(`   ${line}`));
+      }
+    }
+  }
+
+  print(`\n${selected.length - failed}/${selected.length} scenarios passed`);
+
+  await fakes.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch(error => {
+  print(`❌ Offline runner crashed: ${error.stack}`);
+  process.exit(1);
+});
@@ -0,0 +1,94 @@
+/**
+ * Channel Profiles
+ * Per-channel configuration for client projects: Jira project/labels, allowed servers,
+ * enabled tools and an extra system prompt overlay
+ *
+ * Loaded from config/channel-profiles.json (path: CHANNEL_PROFILES_FILE).
+ * Channels are keyed by Cliq channel ID or by channel name ("#RANQT - Bugs" matches "ranqtbugs").
+ * Channels without a profile get the global behavior (everything enabled).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('config');
+
+const PROFILES_FILE = path.resolve(process.cwd(), process.env.CHANNEL_PROFILES_FILE || 'config/channel-profiles.json');
+
+/**
+ * Normalize a channel name the same way Cliq unique names are built
+ */
+function normalizeName(name) {
+  return String(name).replace(/[^a-zA-Z0-9]/g, '').toLowerCase();
+}
+
+function loadProfiles() {
+  try {
+    if (fs.existsSync(PROFILES_FILE)) {
+      const config = JSON.parse(fs.readFileSync(PROFILES_FILE, 'utf-8'));
+      log.info(`🗂️  Loaded ${Object.keys(config.channels || {}).length} channel profiles from ${PROFILES_FILE}`);
+      return config;
+    }
+  } catch (error) {
+    log.warn(`⚠️  Could not load channel profiles ${PROFILES_FILE}: ${error.message}`);
+  }
+  return {};
+}
+
+const config = loadProfiles();
+
+/**
+ * Read a prompt overlay from a file (relative to the profiles file)
+ */
+function readOverlayFile(file) {
+  try {
+    return fs.readFileSync(path.resolve(path.dirname(PROFILES_FILE), file), 'utf-8');
+  } catch (error) {
+    log.warn(`⚠️  Could not read prompt overlay ${file}: ${error.message}`);
+    return '';
+  }
+}
+
+/**
+ * Find the raw profile entry for a channel
+ */
+function findProfile(channelId, channelName) {
+  const channels = config.channels || {};
+
+  if (channelId && channels[channelId]) {
+    return { key: channelId, ...channels[channelId] };
+  }
+
+  if (channelName) {
+    const wanted = normalizeName(channelName);
+    for (const [key, profile] of Object.entries(channels)) {
+      if (normalizeName(key) === wanted) {
+        return { key, ...profile };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the effective profile for a channel
+ * @returns {{ key, jiraProjectKey, jiraLabels, servers, tools, promptOverlay, compactionThresholdTokens }}
+ *   servers/tools are null when unrestricted, compactionThresholdTokens null for the global default
+ */
+export function getChannelProfile(channelId, channelName = null) {
+  const profile = { ...config.default, ...findProfile(channelId, channelName) };
+
+  return {
+    key: profile.key || null,
+    jiraProjectKey: profile.jiraProjectKey || process.env.JIRA_PROJECT_KEY,
+    jiraLabels: profile.jiraLabels || [],
+    servers: profile.servers ? profile.servers.map(server => server.toLowerCase()) : null,
+    tools: profile.tools || null,
+    promptOverlay: profile.promptOverlayFile
+      ? readOverlayFile(profile.promptOverlayFile)
+      : (profile.promptOverlay || ''),
+    compactionThresholdTokens: profile.compactionThresholdTokens || null
+  };
+}
@@ -0,0 +1,68 @@
+/**
+ * Model Configuration
+ * Central place for the model id, max_tokens, fallback model and retry settings
+ *
+ * Sources (later wins):
+ * 1. Built-in defaults
+ * 2. "default" section of config/models.json (path: MODEL_CONFIG_FILE)
+ * 3. ANTHROPIC_* environment variables
+ * 4. "channels" section of config/models.json for a specific Cliq channel
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('config');
+
+const CONFIG_FILE = path.resolve(process.cwd(), process.env.MODEL_CONFIG_FILE || 'config/models.json');
+
+const DEFAULTS = {
+  model: 'claude-sonnet-4-5-20250929',
+  maxTokens: 8192,
+  fallbackModel: null,
+  maxRetries: 3,
+  retryBaseDelayMs: 1000,
+  retryMaxDelayMs: 30000
+};
+
+/**
+ * Read config/models.json if present
+ * Shape: { default: {...}, channels: { [channelId]: {...} } }
+ */
+function loadConfigFile() {
+  try {
+    if (fs.existsSync(CONFIG_FILE)) {
+      return JSON.parse(fs.readFileSync(CONFIG_FILE, 'utf-8'));
+    }
+  } catch (error) {
+    log.warn(`⚠️  Could not load model config ${CONFIG_FILE}: ${error.message}`);
+  }
+  return {};
+}
+
+function loadEnvOverrides() {
+  const env = process.env;
+  const overrides = {};
+
+  if (env.ANTHROPIC_MODEL) overrides.model = env.ANTHROPIC_MODEL;
+  if (env.ANTHROPIC_MAX_TOKENS) overrides.maxTokens = parseInt(env.ANTHROPIC_MAX_TOKENS, 10);
+  if (env.ANTHROPIC_FALLBACK_MODEL) overrides.fallbackModel = env.ANTHROPIC_FALLBACK_MODEL;
+  if (env.ANTHROPIC_MAX_RETRIES) overrides.maxRetries = parseInt(env.ANTHROPIC_MAX_RETRIES, 10);
+  if (env.ANTHROPIC_RETRY_BASE_DELAY_MS) overrides.retryBaseDelayMs = parseInt(env.ANTHROPIC_RETRY_BASE_DELAY_MS, 10);
+  if (env.ANTHROPIC_RETRY_MAX_DELAY_MS) overrides.retryMaxDelayMs = parseInt(env.ANTHROPIC_RETRY_MAX_DELAY_MS, 10);
+
+  return overrides;
+}
+
+const fileConfig = loadConfigFile();
+const baseConfig = { ...DEFAULTS, ...fileConfig.default, ...loadEnvOverrides() };
+
+/**
+ * Get model config, optionally with a channel's overrides applied
+ * @returns {{ model, maxTokens, fallbackModel, maxRetries, retryBaseDelayMs, retryMaxDelayMs }}
+ */
+export function getModelConfig(channelId = null) {
+  const channelOverrides = channelId ? fileConfig.channels?.[channelId] : null;
+  return { ...baseConfig, ...channelOverrides };
+}
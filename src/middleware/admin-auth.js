@@ -0,0 +1,95 @@
+/**
+ * Admin Auth Middleware
+ * Protects admin endpoints with a shared API key (ADMIN_API_KEY) and/or HMAC request signing (ADMIN_HMAC_SECRET)
+ *
+ * API key: send `X-Admin-Key: <key>` or `Authorization: Bearer <key>`
+ * HMAC: send `X-Admin-Timestamp: <unix seconds>`, `X-Admin-Nonce: <unique per request>` and
+ * `X-Admin-Signature: sha256=<hex>`, where the signature is
+ * HMAC-SHA256(secret, "<timestamp>.<nonce>.<METHOD>.<path with query>.<raw body>").
+ * Signed requests older than ADMIN_HMAC_TOLERANCE_SECONDS (default 300), or with a nonce seen before, are rejected.
+ */
+
+import crypto from 'crypto';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('auth');
+
+const HMAC_TOLERANCE_SECONDS = parseInt(process.env.ADMIN_HMAC_TOLERANCE_SECONDS || '300', 10);
+
+// Map: nonce -> expiry timestamp (ms); nonces only need remembering while their timestamp is valid
+const seenNonces = new Map();
+
+/**
+ * Constant-time string comparison
+ */
+export function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Signature for an admin request (also handy for scripts calling the admin API)
+ */
+export function signAdminRequest(secret, { timestamp, nonce, method, url, body = '' }) {
+  const digest = crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${method.toUpperCase()}.${url}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+}
+
+function hasValidKey(req, apiKey) {
+  const bearer = req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+  const provided = req.get('X-Admin-Key') || bearer;
+  return !!provided && safeEqual(provided, apiKey);
+}
+
+function pruneNonces(now) {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(nonce);
+  }
+}
+
+function hasValidSignature(req, secret) {
+  const timestamp = req.get('X-Admin-Timestamp');
+  const nonce = req.get('X-Admin-Nonce');
+  const signature = req.get('X-Admin-Signature');
+  if (!timestamp || !nonce || !signature) return false;
+
+  const now = Date.now();
+  const ageSeconds = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(ageSeconds) || ageSeconds > HMAC_TOLERANCE_SECONDS) return false;
+
+  const expected = signAdminRequest(secret, {
+    timestamp,
+    nonce,
+    method: req.method,
+    url: req.originalUrl,
+    body: req.rawBody ? req.rawBody.toString('utf-8') : ''
+  });
+  if (!safeEqual(signature, expected)) return false;
+
+  // A captured request can't be sent again
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) return false;
+  seenNonces.set(nonce, now + HMAC_TOLERANCE_SECONDS * 2 * 1000);
+  return true;
+}
+
+export function requireAdmin(req, res, next) {
+  const apiKey = process.env.ADMIN_API_KEY;
+  const hmacSecret = process.env.ADMIN_HMAC_SECRET;
+
+  if (!apiKey && !hmacSecret) {
+    return res.status(503).json({ error: 'Admin API disabled (neither ADMIN_API_KEY nor ADMIN_HMAC_SECRET set)' });
+  }
+
+  const authorized = (apiKey && hasValidKey(req, apiKey)) || (hmacSecret && hasValidSignature(req, hmacSecret));
+
+  if (!authorized) {
+    log.warn(`🚫 Rejected admin request: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
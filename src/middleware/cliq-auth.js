@@ -0,0 +1,149 @@
+/**
+ * Cliq Auth Middleware
+ * Verifies that participation, command and button callback requests really come from our Deluge handlers
+ *
+ * Every request must carry (as form/JSON fields or X-Cliq-* headers):
+ * - timestamp  unix seconds, within CLIQ_AUTH_TOLERANCE_SECONDS (default 300)
+ * - nonce      unique per request - a nonce seen before is rejected as a replay
+ * - signature  hex HMAC-SHA256(CLIQ_WEBHOOK_SECRET,
+ *              "<timestamp>.<nonce>.<channel_id>.<channel_name>.<org_id>.<user_name>.<message_object>")
+ *              where message_object is the raw JSON string posted (so text, attachments and thread are covered);
+ *              command requests sign their `arguments`, button callbacks their `action` in its place
+ *              or, with CLIQ_AUTH_MODE=token, `token` set to the secret itself
+ *
+ * Without CLIQ_WEBHOOK_SECRET every request is rejected (401), unless CLIQ_AUTH_DISABLED=1 is set for local use.
+ *
+ * CLIQ_ALLOWED_CHANNELS / CLIQ_ALLOWED_ORGS (comma-separated IDs) restrict who can talk to the bot.
+ */
+
+import crypto from 'crypto';
+import { safeEqual } from './admin-auth.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('auth');
+
+const TOLERANCE_SECONDS = parseInt(process.env.CLIQ_AUTH_TOLERANCE_SECONDS || '300', 10);
+const AUTH_MODE = process.env.CLIQ_AUTH_MODE === 'token' ? 'token' : 'hmac';
+
+const parseList = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+const ALLOWED_CHANNELS = parseList(process.env.CLIQ_ALLOWED_CHANNELS);
+const ALLOWED_ORGS = parseList(process.env.CLIQ_ALLOWED_ORGS);
+
+// Map: nonce -> expiry timestamp (ms); nonces only need remembering while their timestamp is valid
+const seenNonces = new Map();
+
+const authDisabled = () => process.env.CLIQ_AUTH_DISABLED === '1';
+
+if (!process.env.CLIQ_WEBHOOK_SECRET) {
+  if (authDisabled()) {
+    log.warn('⚠️  CLIQ_AUTH_DISABLED=1 - Cliq participation and command requests are NOT verified');
+  } else {
+    log.warn('⚠️  CLIQ_WEBHOOK_SECRET not set - all Cliq participation and command requests will be rejected');
+  }
+}
+
+/**
+ * Request content as signed by the Deluge handler: the raw message_object for messages,
+ * command arguments / button action for those requests
+ */
+function signedBodyOf(body = {}) {
+  if (body.message_object === undefined) {
+    return body.arguments ?? body.action ?? '';
+  }
+
+  const messageObject = body.message_object;
+  return typeof messageObject === 'string' ? messageObject : JSON.stringify(messageObject ?? {});
+}
+
+/**
+ * Signature for a participation, command or callback request (used by the offline runner to sign like Deluge does)
+ */
+export function signCliqRequest(secret, { timestamp, nonce, channelId, channelName = '', orgId = '', userName, body = '' }) {
+  return crypto.createHmac('sha256', secret)
+    .update(`${timestamp}.${nonce}.${channelId}.${channelName}.${orgId}.${userName}.${body}`)
+    .digest('hex');
+}
+
+function pruneNonces(now) {
+  for (const [nonce, expiresAt] of seenNonces) {
+    if (expiresAt <= now) seenNonces.delete(nonce);
+  }
+}
+
+/**
+ * @returns {string|null} why the request is not authentic, null if it is
+ */
+function checkAuthenticity(req, secret) {
+  const field = (name) => req.body?.[name] || req.get(`X-Cliq-${name[0].toUpperCase()}${name.slice(1)}`);
+  const timestamp = field('timestamp');
+  const nonce = field('nonce');
+
+  if (!timestamp || !nonce) {
+    return 'missing timestamp or nonce';
+  }
+
+  const now = Date.now();
+  const ageSeconds = Math.abs(now / 1000 - Number(timestamp));
+  if (!Number.isFinite(ageSeconds) || ageSeconds > TOLERANCE_SECONDS) {
+    return `stale timestamp (${Number.isFinite(ageSeconds) ? `${Math.round(ageSeconds)}s off` : 'invalid'})`;
+  }
+
+  if (AUTH_MODE === 'token') {
+    const token = field('token');
+    if (!token || !safeEqual(token, secret)) {
+      return token ? 'wrong token' : 'missing token';
+    }
+  } else {
+    const signature = field('signature');
+    if (!signature) {
+      return 'missing signature';
+    }
+    const expected = signCliqRequest(secret, {
+      timestamp,
+      nonce,
+      channelId: req.body?.channel_id,
+      channelName: req.body?.channel_name ?? '',
+      orgId: req.body?.org_id ?? '',
+      userName: req.body?.user_name,
+      body: signedBodyOf(req.body)
+    });
+    if (!safeEqual(String(signature).toLowerCase(), expected)) {
+      return 'bad signature';
+    }
+  }
+
+  pruneNonces(now);
+  if (seenNonces.has(nonce)) {
+    return 'replayed nonce';
+  }
+  seenNonces.set(nonce, now + TOLERANCE_SECONDS * 2 * 1000);
+
+  return null;
+}
+
+export function verifyCliqRequest(req, res, next) {
+  const { channel_id: channelId, user_name: userName, org_id: orgId } = req.body || {};
+  const reject = (status, reason) => {
+    log.warn(`🚫 Rejected Cliq request to ${req.path}: ${reason} (channel ${channelId || '?'}, user ${userName || '?'}, from ${req.ip})`);
+    return res.status(status).json({ should_respond: false, error: status === 401 ? 'Unauthorized' : 'Forbidden' });
+  };
+
+  const secret = process.env.CLIQ_WEBHOOK_SECRET;
+  if (secret) {
+    const problem = checkAuthenticity(req, secret);
+    if (problem) {
+      return reject(401, problem);
+    }
+  } else if (!authDisabled()) {
+    return reject(401, 'CLIQ_WEBHOOK_SECRET not set');
+  }
+
+  if (ALLOWED_CHANNELS.length > 0 && !ALLOWED_CHANNELS.includes(channelId)) {
+    return reject(403, 'channel not allow-listed');
+  }
+  if (ALLOWED_ORGS.length > 0 && !ALLOWED_ORGS.includes(String(orgId))) {
+    return reject(403, 'organization not allow-listed');
+  }
+
+  next();
+}
@@ -0,0 +1,214 @@
+/**
+ * Admin Routes
+ * Operational endpoints for BugBuster (all require ADMIN_API_KEY or an ADMIN_HMAC_SECRET signature)
+ */
+
+import express from 'express';
+import { requireAdmin } from '../middleware/admin-auth.js';
+import { costLedger, validateBudgets } from '../services/cost-ledger.js';
+import { agentManager } from '../services/bugbuster-manager.js';
+import { cliqDelivery } from '../services/cliq-delivery.js';
+import { queryAuditLog, auditLogToCsv } from '../services/audit-log.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('admin');
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * Cost totals
+ * Query: from, to (YYYY-MM-DD, default: current month)
+ */
+router.get('/costs', (req, res) => {
+  const { from, to } = req.query;
+  res.json(costLedger.getTotals({ from, to }));
+});
+
+/**
+ * Current budgets
+ */
+router.get('/budgets', (req, res) => {
+  res.json(costLedger.budgets);
+});
+
+/**
+ * Update budgets
+ * Body: { global: { daily, monthly }, channels: {...}, users: {...}, action, downgradeModel }
+ * Caps are positive USD amounts (null removes one); anything else is a 400
+ */
+router.put('/budgets', express.json(), (req, res) => {
+  const error = validateBudgets(req.body);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const budgets = costLedger.setBudgets(req.body);
+  log.info(`💰 Budgets updated`);
+  res.json(budgets);
+});
+
+/**
+ * Tool execution audit log
+ * Query: channel, user, tool, server, outcome, from, to (ISO or YYYY-MM-DD), limit, format=json|csv
+ */
+router.get('/audit', (req, res) => {
+  const { format = 'json', ...filters } = req.query;
+  const entries = queryAuditLog(filters);
+
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', 'attachment; filename="bugbuster-audit.csv"');
+    return res.send(auditLogToCsv(entries));
+  }
+
+  res.json({ count: entries.length, entries });
+});
+
+/**
+ * Reload system prompt (.claude/CLAUDE.md) and agent memory
+ * Normally picked up automatically when the files change - this forces it
+ */
+router.post('/reload-prompt', (req, res) => {
+  const result = agentManager.reloadSystemPrompt();
+  log.info(`🔄 System prompt reloaded via admin API (${result.length} chars)`);
+  res.json({ success: true, ...result });
+});
+
+/**
+ * Replace base64 image / PDF data with a short placeholder (history can be megabytes of screenshots)
+ */
+function elideImages(content) {
+  if (!Array.isArray(content)) return content;
+
+  return content.map(block => {
+    if ((block.type === 'image' || block.type === 'document') && block.source?.type === 'base64') {
+      const data = block.source.data || '';
+      return {
+        type: block.type,
+        elided: true,
+        ...(block.title && { title: block.title }),
+        media_type: block.source.media_type,
+        size_kb: Math.round(data.length * 3 / 4 / 1024)
+      };
+    }
+    if (block.type === 'tool_result' && Array.isArray(block.content)) {
+      return { ...block, content: elideImages(block.content) };
+    }
+    return block;
+  });
+}
+
+/**
+ * Active sessions (channels and threads)
+ */
+router.get('/sessions', (req, res) => {
+  const sessions = agentManager.listSessions();
+  res.json({ count: sessions.length, sessions, paused: Object.fromEntries(agentManager.pausedSessions) });
+});
+
+/**
+ * Full history of a session, images and PDFs elided
+ */
+router.get('/sessions/:sessionKey/history', (req, res) => {
+  const { sessionKey } = req.params;
+  const history = agentManager.getHistory(sessionKey);
+
+  if (!history) {
+    return res.status(404).json({ error: `No active session ${sessionKey}` });
+  }
+
+  res.json({
+    sessionKey,
+    stats: agentManager.getSessionStats(sessionKey),
+    messages: history.map(message => ({ ...message, content: elideImages(message.content) }))
+  });
+});
+
+/**
+ * Clear a session's history
+ */
+router.post('/sessions/:sessionKey/reset', (req, res) => {
+  const { sessionKey } = req.params;
+  agentManager.closeSession(sessionKey);
+  log.info(`🔄 Session ${sessionKey} reset via admin API`);
+  res.json({ success: true, sessionKey });
+});
+
+/**
+ * Pause a session - a channel ID pauses the channel and all its threads
+ * Body: { reason }
+ */
+router.post('/sessions/:sessionKey/pause', express.json(), (req, res) => {
+  const { sessionKey } = req.params;
+  const pause = agentManager.pauseSession(sessionKey, req.body?.reason || null);
+  res.json({ success: true, sessionKey, ...pause });
+});
+
+router.post('/sessions/:sessionKey/resume', (req, res) => {
+  const { sessionKey } = req.params;
+
+  if (!agentManager.resumeSession(sessionKey)) {
+    return res.status(404).json({ error: `Session ${sessionKey} is not paused` });
+  }
+
+  res.json({ success: true, sessionKey });
+});
+
+/**
+ * Inject a system note the agent sees on its next turn
+ * Body: { note }
+ */
+router.post('/sessions/:sessionKey/notes', express.json(), (req, res) => {
+  const { sessionKey } = req.params;
+  const note = req.body?.note;
+
+  if (typeof note !== 'string' || !note.trim()) {
+    return res.status(400).json({ error: 'note (string) is required' });
+  }
+
+  if (!agentManager.injectNote(sessionKey, note.trim())) {
+    return res.status(409).json({ error: 'Session is busy processing a message, try again in a moment' });
+  }
+
+  res.json({ success: true, sessionKey, historyLength: agentManager.getHistory(sessionKey).length });
+});
+
+/**
+ * Cliq messages the delivery queue gave up on
+ */
+router.get('/dead-letters', (req, res) => {
+  const deadLetters = cliqDelivery.getDeadLetters();
+  res.json({ count: deadLetters.length, pending: cliqDelivery.getPendingCount(), deadLetters });
+});
+
+/**
+ * Queue a dead letter again - waits for the outcome
+ */
+router.post('/dead-letters/:id/redeliver', async (req, res) => {
+  const delivery = cliqDelivery.redeliver(req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({ error: `No dead letter ${req.params.id}` });
+  }
+
+  try {
+    await delivery;
+    res.json({ success: true, id: req.params.id });
+  } catch (error) {
+    res.status(502).json({ error: `Redelivery failed, kept as dead letter: ${error.message}` });
+  }
+});
+
+router.delete('/dead-letters/:id', (req, res) => {
+  if (!cliqDelivery.discard(req.params.id)) {
+    return res.status(404).json({ error: `No dead letter ${req.params.id}` });
+  }
+
+  log.info(`🗑️  Dead letter ${req.params.id} discarded via admin API`);
+  res.json({ success: true, id: req.params.id });
+});
+
+export default router;
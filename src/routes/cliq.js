@@ -4,10 +4,37 @@
  */
 
 import express from 'express';
+import crypto from 'crypto';
 import { agentManager } from '../services/bugbuster-manager.js';
+import { meetBotManager } from '../services/meet-bot-manager.js';
+import { approvalManager } from '../services/approval-manager.js';
+import { recordMessage, recordReply } from '../services/session-recorder.js';
+import { sessionKeyFor } from '../services/session-key.js';
+import { requireAdmin } from '../middleware/admin-auth.js';
+import { verifyCliqRequest } from '../middleware/cliq-auth.js';
+import { runCliqCommand } from '../services/cliq-commands.js';
+import { approvalCard, cardsForToolResults } from '../services/cliq-cards.js';
+import { extractAttachments, buildAttachmentBlocks } from '../services/attachments.js';
+import { cliqDelivery } from '../services/cliq-delivery.js';
+import { splitMessage } from '../services/message-splitter.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('cliq');
 
 const router = express.Router();
 
+// Progress lines ("running server_exec on supabase...") during long tool loops
+const PROGRESS_UPDATES_ENABLED = process.env.CLIQ_PROGRESS_UPDATES !== 'false';
+const PROGRESS_MIN_INTERVAL_MS = parseInt(process.env.CLIQ_PROGRESS_INTERVAL_MS || '10000', 10);
+// Longer replies are split into several posts (Cliq caps message length)
+const MAX_MESSAGE_CHARS = parseInt(process.env.CLIQ_MAX_MESSAGE_CHARS || '4000', 10);
+// Jira tickets and server_exec rounds as cards
+const RESULT_CARDS_ENABLED = process.env.CLIQ_RESULT_CARDS !== 'false';
+// Map: session key -> timestamp of last progress line (throttling)
+const lastProgressAt = new Map();
+// Map: session key -> result cards waiting for the end of the turn
+const pendingCards = new Map();
+
 /**
  * Format channel name to Cliq unique name
  * Example: "#test agent" -> "testagent"
@@ -27,7 +54,7 @@ function formatChannelUniqueName(channelName) {
   // Convert to lowercase
   uniqueName = uniqueName.toLowerCase();
 
-  console.log(`📝 Formatted channel name: "${channelName}" -> "${uniqueName}"`);
+  log.debug(`📝 Formatted channel name: "${channelName}" -> "${uniqueName}"`);
 
   return uniqueName;
 }
@@ -35,54 +62,164 @@ function formatChannelUniqueName(channelName) {
 /**
  * Helper: Send message to Cliq channel via Incoming Webhook
  * The webhook handler (Deluge) will post to channel using zoho.cliq.postToChannelAsBot()
+ * Goes through the delivery queue (services/cliq-delivery.js): retried, in order per channel,
+ * dead-lettered if Cliq keeps failing. Long text is split into several posts.
+ * @param {Object} options - { threadId, card, slides, buttons }
+ *   threadId - post into this thread instead of the channel
+ *   card, slides, buttons - Cliq message card parts (see services/cliq-cards.js), text stays the fallback
+ * @returns {Promise<Object>} webhook response once delivered; rejects if the message was dead-lettered
  */
-export async function sendViaWebhook(channelId, channelName, text) {
+export async function sendViaWebhook(channelId, channelName, text, { threadId = null, card = null, slides = null, buttons = null } = {}) {
   try {
-    console.log(`📤 Sending to channel: ${channelName} (${channelId})`);
-
-    const webhookUrl = process.env.CLIQ_BOT_WEBHOOK_URL;
+    log.debug(`📤 Sending to channel: ${channelName}`, { channelId, threadId });
 
     // Format channel name to unique name (remove # and special chars)
     const uniqueName = formatChannelUniqueName(channelName);
 
     // Send payload with pre-formatted unique name
     // Deluge just needs to call: zoho.cliq.postToChannelAsBot(uniqueName, "bugbuster", textMessage)
-    const payload = {
-      text,
-      channel_unique_name: uniqueName
-    };
+    // Card parts ride on the last chunk, after the whole text
+    const chunks = splitMessage(text, MAX_MESSAGE_CHARS);
+    const payloads = chunks.map((chunk, index) => ({
+      text: chunk,
+      channel_unique_name: uniqueName,
+      ...(threadId && { thread_message_id: threadId }),
+      ...(index === chunks.length - 1 && {
+        ...(card && { card }),
+        ...(slides && { slides }),
+        ...(buttons && { buttons })
+      })
+    }));
+
+    const response = await cliqDelivery.send(uniqueName, payloads);
+
+    log.info(`✅ Sent message to channel ${uniqueName}${payloads.length > 1 ? ` (${payloads.length} parts)` : ''}`);
+    return response;
+  } catch (error) {
+    log.error('❌ Failed to send message:', error);
+    throw error;
+  }
+}
 
-    const response = await fetch(webhookUrl, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
+/**
+ * Agent output adapter
+ * Posts text blocks and throttled progress lines to Cliq as the agent works.
+ * Channels currently in a Google Meet are skipped - meet.js sends to the meeting chat instead.
+ */
+agentManager.on('text', async ({ channelId, threadId, text }) => {
+  const channelName = agentManager.channelNames.get(channelId);
+  if (!channelName) return;
+
+  if (!threadId && meetBotManager.isChannelInMeeting(channelId)) {
+    log.info(`🎥 Channel is in Google Meet - message will be sent to meeting chat instead of Cliq`);
+    return;
+  }
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('❌ Webhook error:', response.status, errorText);
-      throw new Error(`Webhook failed: ${response.status}`);
+  try {
+    await sendViaWebhook(channelId, channelName, text, { threadId });
+    log.info(`📤 Sent text block: ${text.substring(0, 50)}...`);
+  } catch (error) {
+    log.error(`❌ Failed to send text block:`, error.message);
+  }
+});
+
+agentManager.on('progress', async ({ sessionKey, channelId, threadId, stage, message }) => {
+  if (!PROGRESS_UPDATES_ENABLED || stage !== 'tool_start') return;
+
+  const channelName = agentManager.channelNames.get(channelId);
+  if (!channelName || (!threadId && meetBotManager.isChannelInMeeting(channelId))) return;
+
+  // Throttled per session, so a busy thread doesn't mute the channel
+  const now = Date.now();
+  if (now - (lastProgressAt.get(sessionKey) || 0) < PROGRESS_MIN_INTERVAL_MS) return;
+  lastProgressAt.set(sessionKey, now);
+
+  try {
+    await sendViaWebhook(channelId, channelName, `_${message}…_`, { threadId });
+  } catch (error) {
+    log.error(`❌ Failed to send progress update:`, error.message);
+  }
+});
+
+// Cards wait for the end of the turn: a turn that ends in stay_silent posts nothing
+agentManager.on('tool_results', ({ sessionKey, results }) => {
+  if (!RESULT_CARDS_ENABLED) return;
+
+  const cards = cardsForToolResults(results);
+  if (cards.length === 0) return;
+  pendingCards.set(sessionKey, [...(pendingCards.get(sessionKey) || []), ...cards]);
+});
+
+agentManager.on('turn_end', async ({ sessionKey, channelId, threadId, silent }) => {
+  const cards = pendingCards.get(sessionKey);
+  if (!cards) return;
+  pendingCards.delete(sessionKey);
+
+  if (silent) {
+    log.info(`🤫 Dropping ${cards.length} result card(s) - the turn ended silent`, { sessionKey });
+    return;
+  }
+
+  const channelName = agentManager.channelNames.get(channelId);
+  if (!channelName || (!threadId && meetBotManager.isChannelInMeeting(channelId))) return;
+
+  for (const { text, ...rich } of cards) {
+    try {
+      await sendViaWebhook(channelId, channelName, text, { threadId, ...rich });
+    } catch (error) {
+      log.error(`❌ Failed to send result card:`, error.message);
     }
+  }
+});
 
-    console.log(`✅ Sent message to channel ${uniqueName}`);
-    return await response.json();
+/**
+ * Approval adapter
+ * Posts approve/deny prompts (with Approve / Deny buttons) for risky tool calls into the channel
+ */
+function describeApprovalAction({ toolName, input }) {
+  if (toolName === 'server_exec') {
+    return `run \`${input.command}\` on *${input.server}*`;
+  }
+  if (toolName === 'create_jira_ticket') {
+    return `create a Jira ticket: *${input.title}* (${input.priority || 'Medium'})`;
+  }
+  return `run ${toolName} with ${JSON.stringify(input)}`;
+}
+
+approvalManager.on('approval_requested', async (request) => {
+  const minutes = Math.round(approvalManager.timeoutMs / 60000);
+  const text = `⚠️ *approval needed*${request.requestedBy ? ` (asked by ${request.requestedBy})` : ''}: i wanna ${describeApprovalAction(request)}\n` +
+    `reply \`approve ${request.id}\` or \`deny ${request.id}\` - expires in ${minutes} min`;
+  const { card, buttons } = approvalCard(request, text);
+
+  try {
+    await sendViaWebhook(request.channelId, request.channelName, text, { threadId: request.threadId, card, buttons });
   } catch (error) {
-    console.error('❌ Failed to send message:', error);
-    throw error;
+    log.error(`❌ Failed to post approval prompt:`, error.message);
   }
+});
+
+/**
+ * Thread the message was posted in, if any
+ * Cliq puts it in message_object; which field is set depends on how the message was sent
+ */
+function extractThreadId(messageData) {
+  const threadId = messageData.thread_message_id ||
+    messageData.thread_id ||
+    messageData.thread?.id ||
+    messageData.parent_message_id;
+  return threadId ? String(threadId) : null;
 }
 
 /**
  * Participation Handler
  * Handles messages from Cliq channels where bot participates
+ * Requests are verified (signature, replay, allow-lists) before anything else - see cliq-auth.js
  */
-router.post('/participate', express.urlencoded({ extended: true }), express.json(), async (req, res) => {
+router.post('/participate', express.urlencoded({ extended: true }), express.json(), verifyCliqRequest, async (req, res) => {
   try {
-    console.log(`\n📥 ========== FULL REQUEST DEBUG ==========`);
-    console.log(`📥 Headers:`, JSON.stringify(req.headers, null, 2));
-    console.log(`📥 Query:`, JSON.stringify(req.query, null, 2));
-    console.log(`📥 Body:`, JSON.stringify(req.body, null, 2));
-    console.log(`📥 ==========================================\n`);
+    // Full payload only at debug level (secrets are redacted by the logger)
+    log.debug(`📥 Participation request`, { query: req.query, body: req.body });
 
     const { message_object, user_name, channel_id, channel_name } = req.body;
 
@@ -100,20 +237,18 @@ router.post('/participate', express.urlencoded({ extended: true }), express.json
 
     // Extract text from different possible fields
     const messageText = messageData.text || messageData.comment || '';
+    const threadId = extractThreadId(messageData);
 
-    // Extract attachments
-    const attachments = [];
-    if (messageData.file) {
-      attachments.push({
-        type: messageData.file.type || 'file',
-        name: messageData.file.name,
-        url: messageData.file.url
-      });
-    }
+    // Every file on the message (downloaded and converted in processWithAgentSDK)
+    const attachments = extractAttachments(messageData);
 
-    console.log(`\n📨 Participation: ${user_name} in ${channel_name}`);
-    console.log(`Message: ${messageText.substring(0, 100)}...`);
-    console.log(`Attachments: ${attachments.length}`);
+    log.info(`📨 Participation: ${user_name} in ${channel_name}`, {
+      channelId: channel_id,
+      threadId,
+      userName: user_name,
+      preview: messageText.substring(0, 100),
+      attachments: attachments.length
+    });
 
     // Validate required fields
     if (!user_name || !channel_id) {
@@ -134,17 +269,44 @@ router.post('/participate', express.urlencoded({ extended: true }), express.json
     // Quick acknowledgment - don't wait for Agent SDK
     res.json({ should_respond: false });
 
+    // Approval replies ("approve a1b2") go to the waiting tool call, not to the agent
+    const approvalReply = approvalManager.handleReply(channel_id, user_name, messageText);
+    if (approvalReply.handled) {
+      if (approvalReply.message) {
+        sendViaWebhook(channel_id, channel_name, approvalReply.message, { threadId })
+          .catch(error => log.error('❌ Failed to send approval ack:', error.message));
+      }
+      return;
+    }
+
+    // The request's correlation ID doubles as the message id (tools, recordings, logs)
+    const messageId = req.correlationId || crypto.randomUUID();
+
+    // Replay fixtures for the eval harness (no-op unless RECORD_SESSIONS_DIR is set)
+    recordMessage({
+      messageId,
+      channelId: channel_id,
+      channelName: channel_name,
+      threadId,
+      userName: user_name,
+      text: messageText,
+      attachments,
+      payload: req.body
+    });
+
     // Process with Agent SDK asynchronously
     processWithAgentSDK({
       channelId: channel_id,
       channelName: channel_name,
+      threadId,
       userName: user_name,
       message: messageText,
-      attachments: attachments
+      attachments: attachments,
+      messageId
     });
 
   } catch (error) {
-    console.error('❌ Participation handler error:', error);
+    log.error('❌ Participation handler error:', error);
     return res.status(500).json({
       should_respond: false,
       error: error.message
@@ -153,106 +315,123 @@ router.post('/participate', express.urlencoded({ extended: true }), express.json
 });
 
 /**
- * Download image and convert to base64
+ * Command Handler
+ * `/bugbuster status|cost|memory|servers|reset|leave-meet` - the Deluge command handler returns our
+ * response to Cliq as the command's reply (see cliq-commands.js for permissions)
  */
-async function downloadImageAsBase64(url) {
-  try {
-    const response = await fetch(url);
-    if (!response.ok) throw new Error(`Failed to download image: ${response.status}`);
+router.post('/command', express.urlencoded({ extended: true }), express.json(), verifyCliqRequest, async (req, res) => {
+  const { arguments: args, user_name, channel_id, channel_name } = req.body;
 
-    const arrayBuffer = await response.arrayBuffer();
-    const buffer = Buffer.from(arrayBuffer);
-    return buffer.toString('base64');
+  if (!user_name || !channel_id) {
+    return res.status(400).json({ text: 'missing user or channel' });
+  }
+
+  try {
+    const text = await runCliqCommand({ args, userName: user_name, channelId: channel_id, channelName: channel_name });
+    res.json({ text });
   } catch (error) {
-    console.error(`❌ Failed to download image from ${url}:`, error.message);
-    return null;
+    log.error('❌ Command handler error:', error);
+    res.status(500).json({ text: `ugh, that command failed: ${error.message}` });
   }
-}
+});
+
+/**
+ * Button Callback
+ * Buttons on BugBuster's cards invoke a Cliq function that forwards the button's `action` here
+ * Supported: "approve <id>" / "deny <id>" - same rules as typing it in the channel
+ */
+const CALLBACK_PATTERN = /^(approve|deny) ([a-f0-9]{4})$/;
+
+router.post('/callback', express.urlencoded({ extended: true }), express.json(), verifyCliqRequest, (req, res) => {
+  const { action, user_name, channel_id, channel_name } = req.body;
+
+  if (!user_name || !channel_id) {
+    return res.status(400).json({ text: 'missing user or channel' });
+  }
+
+  const match = String(action || '').trim().match(CALLBACK_PATTERN);
+  if (!match) {
+    log.warn(`⚠️  Unknown button action "${action}"`, { channelId: channel_id, userName: user_name });
+    return res.status(400).json({ text: `dunno what \`${action}\` means 🤷` });
+  }
+
+  const request = approvalManager.getPending(channel_id).find(pending => pending.id === match[2]);
+  if (!request) {
+    return res.json({ text: 'too late - that one was already answered or expired' });
+  }
+
+  log.info(`🔘 ${user_name} clicked ${match[1]} on approval ${request.id}`, { channelId: channel_id, userName: user_name });
+  const reply = approvalManager.handleReply(channel_id, user_name, action);
+
+  // Everyone in the channel (or thread) sees the decision; the clicker also gets it as the button's response
+  sendViaWebhook(channel_id, channel_name || request.channelName, reply.message, { threadId: request.threadId })
+    .catch(error => log.error('❌ Failed to send approval ack:', error.message));
+
+  res.json({ text: reply.message });
+});
 
 /**
  * Process message with Anthropic API
  * Sends response to Cliq via webhook
+ * Each thread gets its own session; messages outside threads share the channel's session
  */
 async function processWithAgentSDK(data) {
-  const { channelId, channelName, userName, message, attachments } = data;
+  const { channelId, channelName, threadId, userName, message, attachments, messageId } = data;
+  const sessionKey = sessionKeyFor(channelId, threadId);
 
   try {
-    console.log(`🤖 Starting processing for channel ${channelId}`);
+    log.info(`🤖 Starting processing for session ${sessionKey}`);
 
-    // Prepare message content with images
-    let messageContent = [];
-
-    // Add text with username
-    const textMessage = `${userName}: ${message || '[sent an image]'}`;
-    messageContent.push({
-      type: 'text',
-      text: textMessage
-    });
-
-    // Add images
-    if (attachments && attachments.length > 0) {
-      for (const attachment of attachments) {
-        // Check if it's an image
-        if (attachment.type && attachment.type.startsWith('image/')) {
-          console.log(`📷 Downloading image: ${attachment.name}`);
-          const base64Data = await downloadImageAsBase64(attachment.url);
-
-          if (base64Data) {
-            messageContent.push({
-              type: 'image',
-              source: {
-                type: 'base64',
-                media_type: attachment.type,
-                data: base64Data
-              }
-            });
-            console.log(`✅ Added image to message: ${attachment.name} (${Math.round(base64Data.length / 1024)}KB)`);
-          }
-        } else {
-          // For non-image attachments, add as text
-          messageContent.push({
-            type: 'text',
-            text: `\nAttachment: ${attachment.name} (${attachment.type}): ${attachment.url}`
-          });
-        }
-      }
-    }
+    // Text with username, then the attachments as image / PDF / text blocks -
+    // downloaded only once the message gets past the pause, rate limit and queue checks
+    const textMessage = `${userName}: ${message || '[sent a file]'}`;
+    const buildContent = async () => [
+      { type: 'text', text: textMessage },
+      ...await buildAttachmentBlocks(attachments)
+    ];
 
     // Get response from agent (messages sent in real-time during processing)
-    const response = await agentManager.sendMessage(channelId, textMessage, channelName, messageContent);
+    const reply = await agentManager.sendMessage(sessionKey, textMessage, channelName, buildContent, { userName, messageId });
+    recordReply({ messageId, channelId, text: reply.text, silent: reply.silent });
 
-    // Check if agent wants to stay silent
-    if (response && response.trim() === '[SILENT]') {
-      console.log(`🤫 Agent decided to stay silent (off-topic conversation)`);
-      return; // Don't send anything to Cliq
+    // Agent called stay_silent - nothing was posted
+    if (reply.silent) {
+      log.info(`🤫 Agent stayed silent: ${reply.reason || 'no reason given'}`);
+      return;
     }
 
     // Messages already sent in real-time during processing
-    console.log(`✅ All messages sent in real-time`);
+    log.info(`✅ All messages sent in real-time`);
 
-    const stats = agentManager.getSessionStats(channelId);
-    console.log(`✅ Finished - Session total: $${stats.totalCost.toFixed(4)} (${stats.messageCount} messages)`);
+    const stats = agentManager.getSessionStats(sessionKey);
+    log.info(`✅ Finished - Session total: $${stats.totalCost.toFixed(4)} (${stats.messageCount} messages)`, {
+      sessionKey,
+      totalCost: stats.totalCost,
+      messageCount: stats.messageCount
+    });
 
   } catch (error) {
-    console.error('❌ Processing failed:', error);
+    log.error('❌ Processing failed:', error);
 
     // Send error message to Cliq
     try {
       await sendViaWebhook(
         channelId,
         channelName,
-        `ugh something broke: ${error.message}`
+        `ugh something broke: ${error.message}`,
+        { threadId }
       );
     } catch (webhookError) {
-      console.error('❌ Failed to send error message via webhook:', webhookError);
+      log.error('❌ Failed to send error message via webhook:', webhookError);
     }
   }
 }
 
 /**
  * Reset session for a channel (for testing/debugging)
+ * Kept for existing scripts - prefer POST /admin/sessions/:sessionKey/reset
  */
-router.post('/reset-session/:channelId', (req, res) => {
+router.post('/reset-session/:channelId', requireAdmin, (req, res) => {
   const { channelId } = req.params;
 
   agentManager.closeSession(channelId);
@@ -277,7 +456,12 @@ router.get('/health', (req, res) => {
       total_cost: stats.totalCost,
       message_count: stats.messageCount,
       created_at: stats.createdAt,
-      last_activity_at: stats.lastActivityAt
+      last_activity_at: stats.lastActivityAt,
+      cache_read_tokens: stats.cacheReadTokens || 0,
+      cache_write_tokens: stats.cacheWriteTokens || 0,
+      cache_savings: stats.cacheSavings || 0,
+      compaction_threshold: agentManager.getCompactionThreshold(channelId),
+      compaction_count: stats.compactionCount || 0
     };
   }
 
@@ -289,7 +473,11 @@ router.get('/health', (req, res) => {
       channels: activeChannels,
       session_stats: channelStats
     },
-    webhook_configured: !!process.env.CLIQ_BOT_WEBHOOK_URL
+    webhook_configured: !!process.env.CLIQ_BOT_WEBHOOK_URL,
+    delivery: {
+      pending: cliqDelivery.getPendingCount(),
+      dead_letters: cliqDelivery.getDeadLetters().length
+    }
   });
 });
 
@@ -1,4 +1,5 @@
 import express from 'express';
+import { getToolStatus } from '../tools/index.js';
 
 const router = express.Router();
 
@@ -52,6 +53,9 @@ router.get('/detailed', async (req, res) => {
   );
   checks.overall = allConfigured ? 'healthy' : 'degraded';
 
+  // Discovered tools (disabled ones say why)
+  checks.tools = getToolStatus();
+
   res.json(checks);
 });
 
@@ -8,6 +8,9 @@ import crypto from 'crypto';
 import axios from 'axios';
 import { meetBotManager } from '../services/meet-bot-manager.js';
 import { agentManager } from '../services/bugbuster-manager.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('meet');
 
 const router = express.Router();
 
@@ -29,6 +32,10 @@ const MAX_HISTORY = 10;
 const transcriptBuffers = new Map();
 const BUFFER_TIMEOUT_MS = 5000; // Wait 5s after last transcript before sending to Claude
 
+// Progress lines in the meeting chat while tools run (throttled per bot)
+const PROGRESS_MIN_INTERVAL_MS = parseInt(process.env.MEET_PROGRESS_INTERVAL_MS || '15000', 10);
+const lastProgressAt = new Map();
+
 // Google Meet context instructions for Claude
 const MEET_CONTEXT_INSTRUCTIONS = `
 
@@ -42,7 +49,7 @@ YOUR ROLE:
 IMPORTANT - TRANSCRIPT BUFFERING:
 - Transcripts are buffered for 5 seconds before being sent to you
 - Sometimes you might receive INCOMPLETE messages if someone is speaking for a long time
-- If a message seems cut off or incomplete (mid-sentence, unclear context) → respond with [SILENT] and wait for the next message
+- If a message seems cut off or incomplete (mid-sentence, unclear context) → call stay_silent and wait for the next message
 - Don't make assumptions or create tickets based on incomplete information
 - Wait for complete context before taking action
 
@@ -105,14 +112,32 @@ function verifyWebhookSignature(payload, signature, secret) {
   return `sha256=${digest}` === signature;
 }
 
+/**
+ * Agent progress adapter
+ * While the bot sits in a meeting, tell the meeting chat what it's doing during long tool loops
+ */
+agentManager.on('progress', async ({ channelId, threadId, stage, message }) => {
+  // Thread sessions are regular chat even while the channel is in a meeting
+  if (stage !== 'tool_start' || threadId) return;
+
+  const bot = meetBotManager.getBotByChannelId(channelId);
+  if (!bot) return;
+
+  const now = Date.now();
+  if (now - (lastProgressAt.get(bot.botId) || 0) < PROGRESS_MIN_INTERVAL_MS) return;
+  lastProgressAt.set(bot.botId, now);
+
+  await sendChatMessage(bot.botId, `${message}...`);
+});
+
 /**
  * Recall.ai Webhook Handler
  * Receives events: bot.status_change, transcript.complete, etc.
  */
 router.post('/webhook', express.json(), async (req, res) => {
   try {
-    console.log('\n📥 ========== RECALL.AI WEBHOOK ==========');
-    console.log('Full body:', JSON.stringify(req.body, null, 2));
+    log.info(`📥 Recall.ai webhook: ${req.body?.event || 'unknown event'}`);
+    log.debug('📥 Recall.ai webhook body', { body: req.body });
 
     // Verify signature (optional but recommended)
     const signature = req.headers['recall-signature'];
@@ -121,7 +146,7 @@ router.post('/webhook', express.json(), async (req, res) => {
     if (webhookSecret && signature) {
       const isValid = verifyWebhookSignature(req.body, signature, webhookSecret);
       if (!isValid) {
-        console.error('❌ Invalid webhook signature');
+        log.error('❌ Invalid webhook signature');
         return res.status(401).json({ error: 'Invalid signature' });
       }
     }
@@ -147,7 +172,7 @@ router.post('/webhook', express.json(), async (req, res) => {
     }
 
   } catch (error) {
-    console.error('❌ Webhook error:', error);
+    log.error('❌ Webhook error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -187,7 +212,7 @@ async function bufferTranscript(botId, speaker, transcript) {
   bufferData.lastSpeaker = speaker;
 
   if (bufferData.isProcessing) {
-    console.log(`⏳ Claude is processing, added to pending buffer (${bufferData.pendingBuffer.length} pending)`);
+    log.info(`⏳ Claude is processing, added to pending buffer (${bufferData.pendingBuffer.length} pending)`);
     // Don't start timer while processing - we'll handle pending buffer after Claude finishes
     return;
   }
@@ -197,11 +222,11 @@ async function bufferTranscript(botId, speaker, transcript) {
     clearTimeout(bufferData.timer);
   }
 
-  console.log(`⏱️  Buffer timer reset: ${BUFFER_TIMEOUT_MS}ms (speakers=${bufferData.speakers.size})`);
+  log.info(`⏱️  Buffer timer reset: ${BUFFER_TIMEOUT_MS}ms (speakers=${bufferData.speakers.size})`);
 
   // Set new timer to process after silence
   bufferData.timer = setTimeout(async () => {
-    console.log(`⏰ Silence timeout reached, processing buffer (${bufferData.currentBuffer.length} transcripts)`);
+    log.info(`⏰ Silence timeout reached, processing buffer (${bufferData.currentBuffer.length} transcripts)`);
     await processBufferedTranscripts(botId);
   }, BUFFER_TIMEOUT_MS);
 }
@@ -225,10 +250,10 @@ async function sendChatMessage(botId, message) {
       }
     );
 
-    console.log(`💬 Sent chat message to Google Meet: "${message.substring(0, 50)}..."`);
+    log.info(`💬 Sent chat message to Google Meet: "${message.substring(0, 50)}..."`);
     return true;
   } catch (error) {
-    console.error(`❌ Failed to send chat message:`, error.response?.data || error.message);
+    log.error(`❌ Failed to send chat message:`, error.response?.data || error.message);
     return false;
   }
 }
@@ -263,7 +288,7 @@ async function processBufferedTranscripts(botId) {
 
   const speaker = uniqueSpeakers.size === 1 ? bufferData.lastSpeaker : 'Multiple speakers';
 
-  console.log(`📝 Processing buffered transcript from ${speaker}: "${formattedTranscript.substring(0, 150)}..." (speakers=${uniqueSpeakers.size})`);
+  log.info(`📝 Processing buffered transcript from ${speaker}: "${formattedTranscript.substring(0, 150)}..." (speakers=${uniqueSpeakers.size})`);
 
   // Clear current buffer (we're processing it now)
   bufferData.currentBuffer = [];
@@ -275,7 +300,7 @@ async function processBufferedTranscripts(botId) {
 
   // Test mode: if no bot info, use Claude directly for testing
   if (!botInfo) {
-    console.log(`⚠️  Bot ${botId} not in registry, using test mode with Claude`);
+    log.info(`⚠️  Bot ${botId} not in registry, using test mode with Claude`);
 
     try {
       // Create a test channel ID based on bot ID
@@ -285,18 +310,18 @@ async function processBufferedTranscripts(botId) {
       const message = `${MEET_CONTEXT_INSTRUCTIONS}
 
 [Google Meet] ${speaker}: ${formattedTranscript}`;
-      const response = await agentManager.sendMessage(testChannelId, message);
+      const reply = await agentManager.sendMessage(testChannelId, message, null, null, { userName: speaker, source: 'meet' });
 
-      if (response && response.trim() && response.trim() !== '[SILENT]') {
-        console.log(`🤖 Claude response: ${response.substring(0, 100)}...`);
+      if (!reply.silent && reply.text.trim()) {
+        log.info(`🤖 Claude response: ${reply.text.substring(0, 100)}...`);
 
         // Send response to Google Meet chat
-        await sendChatMessage(botId, response);
+        await sendChatMessage(botId, reply.text);
       } else {
-        console.log('🤖 Claude chose to stay silent');
+        log.info(`🤖 Claude chose to stay silent${reply.reason ? `: ${reply.reason}` : ''}`);
       }
     } catch (error) {
-      console.error('❌ Failed to process test transcript:', error);
+      log.error('❌ Failed to process test transcript:', error);
     } finally {
       // Mark as done processing
       bufferData.isProcessing = false;
@@ -314,18 +339,18 @@ async function processBufferedTranscripts(botId) {
 [Google Meet] ${speaker}: ${formattedTranscript}`;
 
   try {
-    const response = await agentManager.sendMessage(channelId, message);
+    const reply = await agentManager.sendMessage(channelId, message, null, null, { userName: speaker, source: 'meet' });
 
     // If Claude responds, send to meeting chat
-    if (response && response.trim() && response.trim() !== '[SILENT]') {
-      console.log(`🤖 Claude response: ${response.substring(0, 100)}...`);
+    if (!reply.silent && reply.text.trim()) {
+      log.info(`🤖 Claude response: ${reply.text.substring(0, 100)}...`);
 
       // Send response to Google Meet chat
-      await sendChatMessage(botId, response);
+      await sendChatMessage(botId, reply.text);
     }
 
   } catch (error) {
-    console.error('❌ Failed to process buffered transcript:', error);
+    log.error('❌ Failed to process buffered transcript:', error);
   } finally {
     // Mark as done processing
     bufferData.isProcessing = false;
@@ -343,7 +368,7 @@ async function processPendingBuffer(botId) {
     return;
   }
 
-  console.log(`📬 Processing pending buffer (${bufferData.pendingBuffer.length} transcripts)`);
+  log.info(`📬 Processing pending buffer (${bufferData.pendingBuffer.length} transcripts)`);
 
   // Move pending to current
   bufferData.currentBuffer = bufferData.pendingBuffer;
@@ -361,7 +386,7 @@ async function processPendingBuffer(botId) {
 
   // Start timer for new buffer
   bufferData.timer = setTimeout(async () => {
-    console.log(`⏰ Silence timeout reached for pending buffer (${bufferData.currentBuffer.length} transcripts)`);
+    log.info(`⏰ Silence timeout reached for pending buffer (${bufferData.currentBuffer.length} transcripts)`);
     await processBufferedTranscripts(botId);
   }, BUFFER_TIMEOUT_MS);
 }
@@ -376,7 +401,7 @@ async function handleRealtimeTranscript(payload) {
   const event = payload.event;
 
   if (!botId || words.length === 0) {
-    console.log('⚠️  Empty transcript, skipping');
+    log.info('⚠️  Empty transcript, skipping');
     return;
   }
 
@@ -392,17 +417,17 @@ async function handleRealtimeTranscript(payload) {
   // Only process complete transcripts (transcript.data), not partial ones
   // This avoids responding to incomplete sentences
   if (event === 'transcript.partial_data') {
-    console.log(`🎤 [Partial] ${speaker}: ${transcript} (skipping)`);
+    log.info(`🎤 [Partial] ${speaker}: ${transcript} (skipping)`);
     return;
   }
 
   // Check if we already processed this exact transcript
   if (isTranscriptProcessed(botId, speaker, transcript)) {
-    console.log(`⚠️  Duplicate transcript detected, skipping: "${transcript}"`);
+    log.info(`⚠️  Duplicate transcript detected, skipping: "${transcript}"`);
     return;
   }
 
-  console.log(`🎤 [Complete] ${speaker}: ${transcript}`);
+  log.info(`🎤 [Complete] ${speaker}: ${transcript}`);
 
   // Mark as processed IMMEDIATELY to prevent race conditions
   markTranscriptProcessed(botId, speaker, transcript);
@@ -420,7 +445,7 @@ async function processWebhookEvent(eventCode, data) {
   const botInfo = meetBotManager.getBotInfo(botId);
 
   if (!botInfo) {
-    console.log(`⚠️  Bot ${botId} not found in local registry`);
+    log.info(`⚠️  Bot ${botId} not found in local registry`);
     return;
   }
 
@@ -441,10 +466,10 @@ async function processWebhookEvent(eventCode, data) {
         break;
 
       default:
-        console.log(`📨 Unhandled event: ${eventCode}`);
+        log.info(`📨 Unhandled event: ${eventCode}`);
     }
   } catch (error) {
-    console.error(`❌ Error processing event ${eventCode}:`, error);
+    log.error(`❌ Error processing event ${eventCode}:`, error);
   }
 }
 
@@ -453,7 +478,7 @@ async function processWebhookEvent(eventCode, data) {
  */
 function handleBotStatusChange(botId, data, botInfo) {
   const status = data.status?.code;
-  console.log(`🤖 Bot ${botId} status: ${status}`);
+  log.info(`🤖 Bot ${botId} status: ${status}`);
 
   meetBotManager.updateBotStatus(botId, status);
 
@@ -464,7 +489,8 @@ function handleBotStatusChange(botId, data, botInfo) {
 
     if (channelName) {
       import('../routes/cliq.js').then(({ sendViaWebhook }) => {
-        sendViaWebhook(channelId, channelName, `✅ joined the meeting!`);
+        sendViaWebhook(channelId, channelName, `✅ joined the meeting!`)
+          .catch(error => log.error('❌ Failed to notify Cliq:', error.message));
       });
     }
   }
@@ -483,7 +509,7 @@ async function handleTranscription(botId, data, botInfo) {
   const transcript = data.transcript;
   const channelId = botInfo.channelId;
 
-  console.log(`🎤 [${speaker}]: ${transcript}`);
+  log.info(`🎤 [${speaker}]: ${transcript}`);
 
   // Skip if speaker is the bot itself
   if (speaker.toLowerCase().includes('bugbuster')) {
@@ -496,18 +522,18 @@ async function handleTranscription(botId, data, botInfo) {
 [Google Meet] ${speaker}: ${transcript}`;
 
   try {
-    const response = await agentManager.sendMessage(channelId, message);
+    const reply = await agentManager.sendMessage(channelId, message, null, null, { userName: speaker, source: 'meet' });
 
     // If Claude responds, send to meeting chat
-    if (response && response.trim() && response.trim() !== '[SILENT]') {
-      console.log(`🤖 Claude response: ${response.substring(0, 100)}...`);
+    if (!reply.silent && reply.text.trim()) {
+      log.info(`🤖 Claude response: ${reply.text.substring(0, 100)}...`);
 
       // Send response to Google Meet chat
-      await sendChatMessage(botId, response);
+      await sendChatMessage(botId, reply.text);
     }
 
   } catch (error) {
-    console.error('❌ Failed to process transcript:', error);
+    log.error('❌ Failed to process transcript:', error);
   }
 }
 
@@ -515,14 +541,15 @@ async function handleTranscription(botId, data, botInfo) {
  * Handle meeting ended
  */
 function handleMeetingEnded(botId, data, botInfo) {
-  console.log(`🏁 Meeting ended for bot ${botId}`);
+  log.info(`🏁 Meeting ended for bot ${botId}`);
 
   const channelId = botInfo.channelId;
   const channelName = agentManager.channelNames?.get(channelId);
 
   if (channelName) {
     import('../routes/cliq.js').then(({ sendViaWebhook }) => {
-      sendViaWebhook(channelId, channelName, `meeting ended. lemme know if u need a summary or tickets created`);
+      sendViaWebhook(channelId, channelName, `meeting ended. lemme know if u need a summary or tickets created`)
+        .catch(error => log.error('❌ Failed to notify Cliq:', error.message));
     });
   }
 
@@ -0,0 +1,45 @@
+/**
+ * Metrics Route
+ * Prometheus scrape endpoint - optionally protected by METRICS_TOKEN (Authorization: Bearer <token>)
+ */
+
+import express from 'express';
+import { safeEqual } from '../middleware/admin-auth.js';
+import { agentManager } from '../services/bugbuster-manager.js';
+import { meetBotManager } from '../services/meet-bot-manager.js';
+import { cliqDelivery } from '../services/cliq-delivery.js';
+import { channelIdOf } from '../services/session-key.js';
+import { renderMetrics, queueDepthGauge, activeSessionsGauge, activeMeetBotsGauge, cliqPendingGauge } from '../services/metrics.js';
+import { createLogger } from '../services/logger.js';
+
+const log = createLogger('metrics');
+
+const router = express.Router();
+
+router.get('/', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const provided = req.get('Authorization')?.replace(/^Bearer\s+/i, '');
+    if (!provided || !safeEqual(provided, token)) {
+      log.warn(`🚫 Rejected metrics scrape from ${req.ip}`);
+      return res.status(401).send('Unauthorized\n');
+    }
+  }
+
+  // Live state is read at scrape time
+  // Labelled by channel, not session, so thread sessions don't add a series each
+  const queueDepths = new Map();
+  for (const [sessionKey, queue] of agentManager.messageQueues) {
+    const channelId = channelIdOf(sessionKey);
+    queueDepths.set(channelId, (queueDepths.get(channelId) || 0) + queue.length);
+  }
+  queueDepthGauge.reset(Array.from(queueDepths, ([channel, value]) => ({ labels: { channel }, value })));
+  activeSessionsGauge.set({}, agentManager.getActiveSessionCount());
+  activeMeetBotsGauge.set({}, meetBotManager.getActiveBots().length);
+  cliqPendingGauge.set({}, cliqDelivery.getPendingCount());
+
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
+export default router;
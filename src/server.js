@@ -1,6 +1,6 @@
 // Load environment variables FIRST (before any other imports that use env vars)
-import dotenv from 'dotenv';
-dotenv.config();
+// Static imports are evaluated before the module body, so this has to be an import too
+import 'dotenv/config';
 
 import express from 'express';
 import cors from 'cors';
@@ -12,6 +12,13 @@ import http from 'http';
 import cliqRoutes from './routes/cliq.js';
 import healthRoutes from './routes/health.js';
 import meetRoutes from './routes/meet.js';
+import adminRoutes from './routes/admin.js';
+import metricsRoutes from './routes/metrics.js';
+import { cliqDelivery } from './services/cliq-delivery.js';
+import { agentManager } from './services/bugbuster-manager.js';
+import { createLogger, correlationMiddleware } from './services/logger.js';
+
+const log = createLogger('server');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
@@ -33,13 +40,31 @@ app.use(cors({
     : ['http://localhost:3000', 'http://localhost:3001', 'http://localhost:3002'],
   credentials: true
 }));
-app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Every request gets a correlation ID - log lines it causes carry it (see services/logger.js)
+app.use(correlationMiddleware);
+// Access log as structured lines (the format function logs itself and returns nothing for morgan to write)
+const httpLog = createLogger('http');
+app.use(morgan((tokens, req, res) => {
+  httpLog.info(`${tokens.method(req, res)} ${tokens.url(req, res)} ${tokens.status(req, res)}`, {
+    method: tokens.method(req, res),
+    url: tokens.url(req, res),
+    status: Number(tokens.status(req, res)),
+    durationMs: Number(tokens['response-time'](req, res)),
+    ip: tokens['remote-addr'](req, res),
+    userAgent: tokens['user-agent'](req, res)
+  });
+  return null;
+}));
+// Keep the raw body around for signature checks (admin HMAC)
+const keepRawBody = (req, res, buf) => {
+  req.rawBody = buf;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, limit: '10mb', verify: keepRawBody }));
 
 // Debug middleware
 app.use((req, res, next) => {
-  console.log(`🤖 ${req.method} ${req.url} - Origin: ${req.get('Origin')}`);
+  log.debug(`🤖 ${req.method} ${req.url}`, { origin: req.get('Origin') || null });
   next();
 });
 
@@ -50,10 +75,12 @@ app.use('/bot-ui', express.static('public'));
 app.use('/health', healthRoutes);
 app.use('/webhook/cliq', cliqRoutes);
 app.use('/meet', meetRoutes);
+app.use('/admin', adminRoutes);
+app.use('/metrics', metricsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('❌ Error:', err);
+  log.error('❌ Error:', err);
   res.status(err.status || 500).json({
     error: err.message || 'Internal Server Error',
     service: 'AI Agent'
@@ -73,25 +100,45 @@ const server = http.createServer(app);
 
 // Start server
 server.listen(PORT, () => {
-  console.log(`🤖 BugBuster 3000 AI Agent running on port ${PORT}`);
-  console.log(`🩺 Health check: http://localhost:${PORT}/health`);
-  console.log(`🌐 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`\n🔧 Configuration:`);
-  console.log(`   - Claude SDK: ${process.env.ANTHROPIC_API_KEY ? '✓ Configured' : '✗ Missing'}`);
-  console.log(`   - Cliq Webhook: ${process.env.CLIQ_BOT_WEBHOOK_URL ? '✓ Configured' : '✗ Missing'}`);
-  console.log(`   - Jira: ${process.env.JIRA_API_TOKEN ? '✓ Configured' : '✗ Missing'}`);
-  console.log(`   - Recall.ai: ${process.env.RECALL_AI_API_KEY ? '✓ Configured' : '✗ Missing'}`);
-  console.log(`\n📍 Endpoints:`);
-  console.log(`   - POST /webhook/cliq/participate - Cliq participation handler`);
-  console.log(`   - GET  /webhook/cliq/health - Cliq integration health`);
-  console.log(`   - POST /meet/webhook - Recall.ai webhook handler`);
-  console.log(`   - GET  /meet/health - Meet integration health`);
-  console.log(`   - GET  /health - Service health`);
+  log.info(`🤖 BugBuster 3000 AI Agent running on port ${PORT}`, {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || 'development',
+    configured: {
+      claude: !!process.env.ANTHROPIC_API_KEY,
+      cliqWebhook: !!process.env.CLIQ_BOT_WEBHOOK_URL,
+      cliqVerification: !!process.env.CLIQ_WEBHOOK_SECRET,
+      jira: !!process.env.JIRA_API_TOKEN,
+      recall: !!process.env.RECALL_AI_API_KEY
+    }
+  });
+  log.info(`🩺 Health check: http://localhost:${PORT}/health`);
+  log.debug(`📍 Endpoints`, {
+    endpoints: [
+      'POST /webhook/cliq/participate - Cliq participation handler',
+      'POST /webhook/cliq/command - /bugbuster command handler',
+      'POST /webhook/cliq/callback - Card button clicks (approve/deny)',
+      'GET  /webhook/cliq/health - Cliq integration health',
+      'POST /meet/webhook - Recall.ai webhook handler',
+      'GET  /meet/health - Meet integration health',
+      'GET  /health - Service health',
+      'GET  /metrics - Prometheus metrics',
+      'GET  /admin/costs - Cost totals (admin)',
+      'GET|PUT /admin/budgets - Budget caps (admin)',
+      'GET  /admin/audit - Tool execution audit log, JSON or CSV (admin)',
+      'POST /admin/reload-prompt - Reload system prompt & memory (admin)',
+      'GET  /admin/sessions - Active sessions; /:sessionKey/history|reset|pause|resume|notes (admin)',
+      'GET  /admin/dead-letters - Undelivered Cliq messages; /:id/redeliver, DELETE /:id (admin)'
+    ]
+  });
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('🛑 AI Agent shutting down gracefully...');
+process.on('SIGTERM', async () => {
+  log.info('🛑 AI Agent shutting down gracefully...');
+  // Undelivered Cliq messages survive the restart in the dead-letter store
+  await cliqDelivery.deadLetterPending();
+  // Session writes are debounced - write out the ones still waiting
+  await agentManager.flushAllSessions();
   process.exit(0);
 });
 
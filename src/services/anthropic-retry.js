@@ -0,0 +1,103 @@
+/**
+ * Anthropic Retry
+ * Retries transient API failures with exponential backoff and falls back to a second model
+ */
+
+import { recordAnthropicCall } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('anthropic');
+
+// Rate limited, server errors and "overloaded" (529)
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Is this error worth retrying?
+ */
+export function isRetryableError(error) {
+  // Part of the answer was already streamed out - another attempt would stream it again
+  if (error?.partialResponse) return false;
+  if (error?.status && RETRYABLE_STATUSES.has(error.status)) return true;
+  if (error?.error?.error?.type === 'overloaded_error') return true;
+  // Connection errors / timeouts from the SDK have no status
+  return error?.name === 'APIConnectionError' || error?.name === 'APIConnectionTimeoutError';
+}
+
+/**
+ * Delay before the next attempt: honors retry-after, else exponential backoff with jitter, at most maxDelayMs
+ * @returns {number|null} null when the server asks us to wait longer than maxDelayMs - not worth holding the session for
+ */
+function getRetryDelay(error, attempt, baseDelayMs, maxDelayMs) {
+  const retryAfter = parseFloat(error?.headers?.['retry-after']);
+  if (!Number.isNaN(retryAfter)) {
+    return retryAfter * 1000 <= maxDelayMs ? retryAfter * 1000 : null;
+  }
+
+  const exponential = baseDelayMs * Math.pow(2, attempt);
+  return Math.min(exponential + Math.random() * baseDelayMs, maxDelayMs);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run fn, retrying retryable errors up to maxRetries times
+ */
+export async function withRetry(fn, { maxRetries = 3, baseDelayMs = 1000, maxDelayMs = 30000, label = 'Anthropic API' } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= maxRetries || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delay = getRetryDelay(error, attempt, baseDelayMs, maxDelayMs);
+      if (delay === null) {
+        log.warn(`🔁 ${label} asked to retry after ${error.headers['retry-after']}s (over ${Math.round(maxDelayMs / 1000)}s), giving up on it`);
+        throw error;
+      }
+      log.warn(`🔁 ${label} failed (${error.status || error.name}: ${error.message}), retry ${attempt + 1}/${maxRetries} in ${Math.round(delay)}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Run one attempt, recording its latency, token usage or error type in the metrics
+ */
+async function timedAttempt(call, model) {
+  const startedAt = Date.now();
+  try {
+    const result = await call(model);
+    recordAnthropicCall({ model, durationMs: Date.now() - startedAt, usage: result?.usage });
+    return result;
+  } catch (error) {
+    recordAnthropicCall({ model, durationMs: Date.now() - startedAt, error });
+    throw error;
+  }
+}
+
+/**
+ * Call the API with the configured model, retrying transient errors and
+ * switching to the fallback model if the primary keeps failing
+ *
+ * @param {Function} call - async (model) => result
+ * @param {Object} config - { model, fallbackModel, maxRetries, retryBaseDelayMs, retryMaxDelayMs } from getModelConfig()
+ * @returns {Promise<{ result, model }>} result plus the model that produced it
+ */
+export async function callWithFallback(call, config) {
+  const retryOptions = { maxRetries: config.maxRetries, baseDelayMs: config.retryBaseDelayMs, maxDelayMs: config.retryMaxDelayMs };
+
+  try {
+    const result = await withRetry(() => timedAttempt(call, config.model), { ...retryOptions, label: config.model });
+    return { result, model: config.model };
+  } catch (error) {
+    if (!config.fallbackModel || config.fallbackModel === config.model || !isRetryableError(error)) {
+      throw error;
+    }
+
+    log.warn(`⚠️  ${config.model} unavailable, falling back to ${config.fallbackModel}`);
+    const result = await withRetry(() => timedAttempt(call, config.fallbackModel), { ...retryOptions, label: config.fallbackModel });
+    return { result, model: config.fallbackModel };
+  }
+}
@@ -0,0 +1,255 @@
+/**
+ * Approval Manager
+ * Human-in-the-loop approval for risky tool actions
+ *
+ * Policy (env):
+ * - APPROVALS_ENABLED=false            turn the whole thing off
+ * - APPROVAL_REQUIRED_TOOLS            tools that always need approval (default: create_jira_ticket)
+ * - APPROVAL_REQUIRED_COMMANDS         server_exec commands that need approval (default: docker restart,
+ *                                      docker exec) - looked for anywhere in every command of a chain, so
+ *                                      "ps; docker restart x", "$(docker exec ...)" and "sudo docker restart x"
+ *                                      all count. Docker commands that change state (anything but
+ *                                      DOCKER_READ_ONLY) always need approval.
+ * - APPROVAL_USERS                     Cliq user names allowed to approve (empty = nobody, risky
+ *                                      actions are denied); nobody approves their own request
+ * - APPROVAL_TIMEOUT_MS                how long to wait before treating it as denied (default 5 min)
+ *
+ * Flow: executeTool() calls requestApproval(), which emits 'approval_requested' (the Cliq adapter
+ * posts the prompt) and waits. A message that is exactly "approve a1b2" / "deny a1b2" arriving
+ * through the participation handler is passed to handleReply(), which resolves the waiting tool call.
+ */
+
+import { EventEmitter } from 'events';
+import crypto from 'crypto';
+import { createLogger } from './logger.js';
+
+const log = createLogger('approvals');
+
+function parseList(value, fallback) {
+  if (value === undefined) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// The whole message must be the command - "approved the PR yesterday" is just chat
+const REPLY_PATTERN = /^\s*(approve|deny)\s+#?([a-f0-9]{4})\s*$/i;
+
+// Where one shell command ends and the next begins: ; & && | || newlines, $( ... ), backticks, ( ) { }
+// (the & of a redirect like 2>&1 or &> file is not a separator). Inside double quotes only $( and
+// backticks start a new command, inside single quotes nothing does.
+const COMMAND_SEPARATOR = /^(?:;|&&?|\|\|?|\n|\$\(|`|[(){}])/;
+const QUOTED_COMMAND_SEPARATOR = /^(?:\$\(|`)/;
+
+// docker (container) subcommands that only look - every other docker command needs approval
+const DOCKER_READ_ONLY = new Set(['ps', 'ls', 'logs', 'inspect', 'stats', 'top', 'port', 'diff', 'images', 'info', 'version']);
+const DOCKER_COMMAND = /\bdocker\s+(?:container\s+)?(\S+)/g;
+
+/**
+ * Does this command change a container's state (wherever it appears - behind sudo, env, find -exec, sh -c, ...)?
+ */
+function changesDockerState(command) {
+  return Array.from(command.matchAll(DOCKER_COMMAND)).some(([, subcommand]) => !DOCKER_READ_ONLY.has(subcommand));
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Every command in a shell line, e.g. "ps; docker restart app" -> ["ps", "docker restart app"]
+ */
+export function splitShellCommands(command) {
+  const segments = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+    const rest = command.slice(i);
+
+    if (quote === "'") {
+      current += char;
+      if (char === "'") quote = null;
+      continue;
+    }
+    if (char === '\\') {
+      current += rest.substring(0, 2);
+      i++;
+      continue;
+    }
+
+    const redirect = char === '&' && (/[<>]$/.test(current) || command[i + 1] === '>');
+    const separator = redirect ? null : rest.match(quote ? QUOTED_COMMAND_SEPARATOR : COMMAND_SEPARATOR);
+    if (separator) {
+      segments.push(current);
+      current = '';
+      i += separator[0].length - 1;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      quote = quote === char ? null : (quote || char);
+    }
+    current += char;
+  }
+  segments.push(current);
+
+  return segments
+    .map(segment => segment.trim().replace(/\s+/g, ' '))
+    .filter(Boolean);
+}
+
+export class ApprovalManager extends EventEmitter {
+  constructor() {
+    super();
+    this.enabled = process.env.APPROVALS_ENABLED !== 'false';
+    this.requiredTools = parseList(process.env.APPROVAL_REQUIRED_TOOLS, ['create_jira_ticket']);
+    this.requiredCommands = parseList(process.env.APPROVAL_REQUIRED_COMMANDS, ['docker restart', 'docker exec']);
+    this.approvers = parseList(process.env.APPROVAL_USERS, []).map(name => name.toLowerCase());
+    this.timeoutMs = parseInt(process.env.APPROVAL_TIMEOUT_MS || '300000', 10);
+    // Map: approvalId -> { id, channelId, channelName, toolName, input, requestedBy, createdAt, resolve, timer }
+    this.pending = new Map();
+  }
+
+  /**
+   * Does this tool call need a human to approve it?
+   */
+  requiresApproval(toolName, input = {}) {
+    if (!this.enabled) return false;
+    if (this.requiredTools.includes(toolName)) return true;
+
+    if (toolName === 'server_exec' && typeof input.command === 'string') {
+      // Quotes and escapes dropped, so sh -c "docker stop x" and d\ocker read like the command they run
+      return splitShellCommands(input.command.replace(/["'\\]/g, ''))
+        .some(command => changesDockerState(command) ||
+          this.requiredCommands.some(required => new RegExp(`(^|\\s)${escapeRegExp(required)}(\\s|$)`).test(command)));
+    }
+
+    return false;
+  }
+
+  /**
+   * Can this user approve or deny? (nobody, when APPROVAL_USERS is empty)
+   */
+  isApprover(userName) {
+    return this.approvers.includes(String(userName).toLowerCase());
+  }
+
+  /**
+   * Ask the channel (or the thread the request came from) for approval and wait for the answer
+   * @returns {Promise<{ approved: boolean, by?: string, reason: string }>}
+   */
+  requestApproval({ channelId, channelName, threadId, toolName, input, requestedBy }) {
+    if (!channelName) {
+      return Promise.resolve({ approved: false, reason: 'no Cliq channel to ask for approval' });
+    }
+    if (this.approvers.length === 0) {
+      log.warn(`🚫 ${toolName} needs approval but APPROVAL_USERS is empty - denied`);
+      return Promise.resolve({ approved: false, reason: 'nobody is allowed to approve this (APPROVAL_USERS is not set)' });
+    }
+
+    let id;
+    do {
+      id = crypto.randomBytes(2).toString('hex');
+    } while (this.pending.has(id));
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.settle(id, { approved: false, reason: `nobody approved within ${Math.round(this.timeoutMs / 60000)} min` });
+      }, this.timeoutMs);
+
+      const request = {
+        id,
+        channelId,
+        channelName,
+        threadId: threadId || null,
+        toolName,
+        input,
+        requestedBy: requestedBy || null,
+        createdAt: new Date().toISOString(),
+        resolve,
+        timer
+      };
+
+      this.pending.set(id, request);
+      log.info(`🛂 Approval ${id} requested for ${toolName} in channel ${channelId}`);
+      this.emit('approval_requested', this.describe(request));
+    });
+  }
+
+  /**
+   * Resolve a pending approval and notify listeners
+   */
+  settle(id, decision) {
+    const request = this.pending.get(id);
+    if (!request) return false;
+
+    clearTimeout(request.timer);
+    this.pending.delete(id);
+
+    log.info(`🛂 Approval ${id} ${decision.approved ? 'granted' : 'denied'}${decision.by ? ` by ${decision.by}` : ''}: ${decision.reason}`);
+    this.emit('approval_settled', { ...this.describe(request), ...decision });
+    request.resolve(decision);
+    return true;
+  }
+
+  /**
+   * Handle a chat message that may be an approval reply: exactly "approve a1b2" / "deny a1b2"
+   * @returns {{ handled: boolean, message?: string }}
+   */
+  handleReply(channelId, userName, text) {
+    const match = (text || '').match(REPLY_PATTERN);
+    if (!match) return { handled: false };
+
+    const approved = match[1].toLowerCase() === 'approve';
+    const request = this.pending.get(match[2].toLowerCase());
+    if (!request || request.channelId !== channelId) {
+      return { handled: false };
+    }
+
+    if (!this.isApprover(userName)) {
+      log.warn(`🚫 ${userName} tried to ${approved ? 'approve' : 'deny'} ${request.id} but is not an approver`);
+      return { handled: true, message: `sorry ${userName}, ur not on the approvers list for this` };
+    }
+
+    // Denying (cancelling) your own request is fine, approving it is not
+    if (approved && request.requestedBy && String(request.requestedBy).toLowerCase() === String(userName).toLowerCase()) {
+      log.warn(`🚫 ${userName} tried to approve their own request ${request.id}`);
+      return { handled: true, message: `nope ${userName}, someone else has to approve what u asked for` };
+    }
+
+    this.settle(request.id, {
+      approved,
+      by: userName,
+      reason: approved ? `approved by ${userName}` : `denied by ${userName}`
+    });
+
+    return { handled: true, message: approved ? `👍 approved, running it` : `👌 ok, not doing it` };
+  }
+
+  /**
+   * Public view of a request (no timer/resolve)
+   */
+  describe({ id, channelId, channelName, threadId, toolName, input, requestedBy, createdAt }) {
+    return {
+      id,
+      channelId,
+      channelName,
+      threadId,
+      toolName,
+      input,
+      requestedBy,
+      createdAt,
+      expiresAt: new Date(new Date(createdAt).getTime() + this.timeoutMs).toISOString()
+    };
+  }
+
+  /**
+   * Pending approvals (optionally for one channel)
+   */
+  getPending(channelId = null) {
+    return Array.from(this.pending.values())
+      .filter(request => !channelId || request.channelId === channelId)
+      .map(request => this.describe(request));
+  }
+}
+
+// Singleton instance
+export const approvalManager = new ApprovalManager();
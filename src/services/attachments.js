@@ -0,0 +1,273 @@
+/**
+ * Attachments
+ * Turns the files on a Cliq message into content blocks Claude can read
+ *
+ * - Images (jpeg/png/gif/webp)   image blocks
+ * - PDFs                         document blocks
+ * - HAR files                    summary of failed requests and slow calls
+ * - Text, logs, JSON, CSV, ...   inlined as text (secrets redacted), truncated to ATTACHMENT_MAX_TEXT_CHARS
+ *                                (head and tail kept - the end of a log is usually what matters)
+ * - Anything else                a note with the name, type and size
+ *
+ * Limits (env): ATTACHMENT_MAX_FILES (default 5 per message), ATTACHMENT_MAX_BYTES (default 10 MB per
+ * download), ATTACHMENT_MAX_TOTAL_BYTES (default 25 MB downloaded per message), ATTACHMENT_MAX_TEXT_CHARS
+ * (default 40000), HAR_SLOW_REQUEST_MS (default 1000).
+ *
+ * Cliq file URLs need auth: CLIQ_ACCESS_TOKEN is sent as `Zoho-oauthtoken`, but only to hosts in
+ * CLIQ_FILE_HOSTS (default: Zoho domains) so the token never leaks to a link someone pasted.
+ */
+
+import path from 'path';
+import { redactSecrets, createLogger } from './logger.js';
+
+const log = createLogger('attachments');
+
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES || '5', 10);
+const MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024), 10);
+const MAX_TOTAL_BYTES = parseInt(process.env.ATTACHMENT_MAX_TOTAL_BYTES || String(25 * 1024 * 1024), 10);
+const MAX_TEXT_CHARS = parseInt(process.env.ATTACHMENT_MAX_TEXT_CHARS || '40000', 10);
+const HAR_SLOW_MS = parseInt(process.env.HAR_SLOW_REQUEST_MS || '1000', 10);
+const HAR_MAX_LISTED = 25;
+const DOWNLOAD_TIMEOUT_MS = 30000;
+
+// Anthropic rejects images over 5 MB
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+const IMAGE_TYPES = new Set(['image/jpeg', 'image/png', 'image/gif', 'image/webp']);
+const TEXT_EXTENSIONS = new Set(['.txt', '.log', '.json', '.jsonl', '.ndjson', '.csv', '.tsv', '.md', '.yaml', '.yml', '.xml', '.html', '.ini', '.conf', '.sql', '.sh', '.js', '.ts', '.py', '.trace', '.out', '.err']);
+const TEXT_TYPES = ['text/', 'application/json', 'application/xml', 'application/x-ndjson', 'application/yaml', 'application/x-yaml', 'application/javascript', 'application/sql'];
+
+const FILE_HOSTS = (process.env.CLIQ_FILE_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+const ZOHO_HOST = /(^|\.)(zoho|zohocdn|zohostatic|zohoexternal)\.(com|eu|in|com\.au|jp|com\.cn|sa|ca|uk)$/;
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${Math.round(bytes / 1024 / 1024)} MB` : `${Math.round(bytes / 1024)} KB`);
+
+/**
+ * Name from the URL path when Cliq doesn't send one (a URL that doesn't parse gets a generic name)
+ */
+function nameFromUrl(url) {
+  try {
+    return path.basename(new URL(url, 'http://cliq').pathname);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Every file on a message - Cliq sends `file`, or `files` / `attachments` lists
+ * @returns {Array<{ name, type, url, size }>}
+ */
+export function extractAttachments(messageData = {}) {
+  const files = [
+    ...(messageData.file ? [messageData.file] : []),
+    ...(Array.isArray(messageData.files) ? messageData.files : []),
+    ...(Array.isArray(messageData.attachments) ? messageData.attachments : [])
+  ];
+
+  return files
+    .filter(file => file && file.url)
+    .map(file => ({
+      type: file.type || file.content_type || 'file',
+      name: file.name || file.file_name || nameFromUrl(file.url) || 'file',
+      url: file.url,
+      size: file.size ? Number(file.size) : null
+    }));
+}
+
+function mayAuthenticate(url) {
+  try {
+    const host = new URL(url).hostname.toLowerCase();
+    return FILE_HOSTS.length > 0 ? FILE_HOSTS.includes(host) : ZOHO_HOST.test(host);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Download a file, giving up past maxBytes (checked up front and while reading)
+ * @param {number} maxBytes - MAX_BYTES, or less when the message's total budget is nearly used up
+ * @returns {Promise<{ buffer: Buffer, contentType: string|null }>}
+ */
+async function download(attachment, maxBytes) {
+  const token = process.env.CLIQ_ACCESS_TOKEN;
+  const headers = token && mayAuthenticate(attachment.url) ? { Authorization: `Zoho-oauthtoken ${token}` } : {};
+
+  const response = await fetch(attachment.url, { headers, signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) {
+    throw new Error(`download failed: ${response.status}`);
+  }
+
+  const tooLarge = () => new Error(maxBytes < MAX_BYTES
+    ? `over what's left of the ${formatSize(MAX_TOTAL_BYTES)} limit per message`
+    : `larger than the ${formatSize(MAX_BYTES)} limit`);
+  if (Number(response.headers.get('content-length')) > maxBytes) {
+    await response.body?.cancel();
+    throw tooLarge();
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      throw tooLarge();
+    }
+    chunks.push(chunk);
+  }
+
+  return { buffer: Buffer.concat(chunks.map(chunk => Buffer.from(chunk))), contentType: response.headers.get('content-type') };
+}
+
+/**
+ * What to do with a file, from its declared type, extension and the served content type
+ */
+function classify(attachment, contentType) {
+  const extension = path.extname(attachment.name).toLowerCase();
+  const types = [attachment.type, contentType].filter(Boolean).map(type => type.split(';')[0].trim().toLowerCase());
+
+  if (extension === '.har') return 'har';
+  if (types.some(type => IMAGE_TYPES.has(type))) return 'image';
+  if (extension === '.pdf' || types.includes('application/pdf')) return 'pdf';
+  if (TEXT_EXTENSIONS.has(extension) || types.some(type => TEXT_TYPES.some(prefix => type.startsWith(prefix)))) return 'text';
+  return 'other';
+}
+
+/**
+ * Keep the start and (mostly) the end of long text
+ */
+export function truncateText(text, maxChars = MAX_TEXT_CHARS) {
+  if (text.length <= maxChars) return text;
+
+  const head = Math.floor(maxChars / 4);
+  const tail = maxChars - head;
+  const cut = text.length - head - tail;
+  return `${text.substring(0, head)}\n\n…[${cut} characters cut]…\n\n${text.substring(text.length - tail)}`;
+}
+
+/**
+ * Failed requests and slow calls from a browser HAR export
+ */
+export function summarizeHar(har, name = 'HAR file') {
+  const entries = har?.log?.entries;
+  if (!Array.isArray(entries)) {
+    throw new Error('not a HAR file (no log.entries)');
+  }
+
+  const describe = (entry) => {
+    const url = redactSecrets(entry.request?.url || '?');
+    const status = entry.response?.status || 0;
+    return `${entry.request?.method || 'GET'} ${url} → ${status || entry.response?._error || 'no response'} (${Math.round(entry.time || 0)} ms)`;
+  };
+
+  const failed = entries.filter(entry => !entry.response?.status || entry.response.status >= 400);
+  const slow = entries
+    .filter(entry => (entry.time || 0) >= HAR_SLOW_MS && !failed.includes(entry))
+    .sort((a, b) => (b.time || 0) - (a.time || 0));
+
+  const lines = [
+    `HAR summary of ${name}: ${entries.length} requests, ${failed.length} failed, ${slow.length} slower than ${HAR_SLOW_MS} ms`,
+    `Pages: ${(har.log.pages || []).map(page => page.title).filter(Boolean).join(', ') || 'n/a'}`,
+    `Captured: ${entries[0]?.startedDateTime || '?'} - ${entries[entries.length - 1]?.startedDateTime || '?'}`
+  ];
+
+  if (failed.length > 0) {
+    lines.push('', 'Failed requests:');
+    for (const entry of failed.slice(0, HAR_MAX_LISTED)) {
+      lines.push(`- ${describe(entry)}`);
+      const body = entry.response?.content?.text;
+      if (body && entry.response?.content?.encoding !== 'base64') {
+        lines.push(`  response: ${redactSecrets(body.replace(/\s+/g, ' ').substring(0, 300))}`);
+      }
+    }
+    if (failed.length > HAR_MAX_LISTED) lines.push(`- …and ${failed.length - HAR_MAX_LISTED} more`);
+  }
+
+  if (slow.length > 0) {
+    lines.push('', 'Slowest calls:');
+    for (const entry of slow.slice(0, HAR_MAX_LISTED)) {
+      const timings = entry.timings || {};
+      lines.push(`- ${describe(entry)}${timings.wait ? ` - waiting for server ${Math.round(timings.wait)} ms` : ''}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Content blocks for one file (a text note when it can't be read)
+ */
+async function toBlocks(attachment, budget) {
+  const label = `${attachment.name} (${attachment.type})`;
+
+  if (budget.remaining <= 0) {
+    return [{ type: 'text', text: `\nAttachment ${label} - not read, the ${formatSize(MAX_TOTAL_BYTES)} limit per message is used up` }];
+  }
+
+  let file;
+  try {
+    file = await download(attachment, Math.min(MAX_BYTES, budget.remaining));
+    budget.remaining -= file.buffer.length;
+  } catch (error) {
+    log.warn(`⚠️  Could not download ${attachment.name}: ${error.message}`);
+    return [{ type: 'text', text: `\nAttachment ${label} - couldn't download it: ${error.message}` }];
+  }
+
+  const kind = classify(attachment, file.contentType);
+  const sizeKb = Math.round(file.buffer.length / 1024);
+  log.info(`📎 ${attachment.name}: ${kind}, ${sizeKb} KB`);
+
+  switch (kind) {
+    case 'image': {
+      if (file.buffer.length > MAX_IMAGE_BYTES) {
+        return [{ type: 'text', text: `\nAttachment ${label} - image too large to view (${sizeKb} KB, max 5 MB)` }];
+      }
+      const mediaType = IMAGE_TYPES.has(attachment.type) ? attachment.type : file.contentType.split(';')[0].trim();
+      return [{ type: 'image', source: { type: 'base64', media_type: mediaType, data: file.buffer.toString('base64') } }];
+    }
+
+    case 'pdf':
+      return [{
+        type: 'document',
+        title: attachment.name,
+        source: { type: 'base64', media_type: 'application/pdf', data: file.buffer.toString('base64') }
+      }];
+
+    case 'har':
+      try {
+        return [{ type: 'text', text: `\n${summarizeHar(JSON.parse(file.buffer.toString('utf-8')), attachment.name)}` }];
+      } catch (error) {
+        return [{ type: 'text', text: `\nAttachment ${label} - couldn't parse it as HAR: ${error.message}` }];
+      }
+
+    case 'text': {
+      // Pasted logs and configs often carry credentials - they don't need to reach Claude
+      const text = truncateText(redactSecrets(file.buffer.toString('utf-8')));
+      return [{ type: 'text', text: `\nAttachment ${attachment.name}:\n\`\`\`\n${text}\n\`\`\`` }];
+    }
+
+    default:
+      return [{ type: 'text', text: `\nAttachment ${label}, ${sizeKb} KB - this file type can't be read` }];
+  }
+}
+
+/**
+ * Content blocks for all files on a message, in order (at most ATTACHMENT_MAX_FILES,
+ * ATTACHMENT_MAX_TOTAL_BYTES downloaded between them)
+ */
+export async function buildAttachmentBlocks(attachments = []) {
+  const blocks = [];
+  const budget = { remaining: MAX_TOTAL_BYTES };
+
+  for (const attachment of attachments.slice(0, MAX_FILES)) {
+    blocks.push(...await toBlocks(attachment, budget));
+  }
+
+  if (attachments.length > MAX_FILES) {
+    const skipped = attachments.slice(MAX_FILES).map(attachment => attachment.name).join(', ');
+    blocks.push({ type: 'text', text: `\n${attachments.length - MAX_FILES} more attachment(s) not read (limit ${MAX_FILES} per message): ${skipped}` });
+  }
+
+  return blocks;
+}
@@ -0,0 +1,103 @@
+/**
+ * Audit Log
+ * Append-only record of every tool execution (data/audit-log.jsonl)
+ *
+ * Each entry: id, timestamp, channelId, userName, toolName, input, outcome,
+ * exitCode (server_exec), result, approvedBy (approval flow), durationMs
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR, appendJsonl, readJsonl } from './jsonl-log.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('audit');
+
+const AUDIT_FILE = path.join(DATA_DIR, 'audit-log.jsonl');
+const MAX_RESULT_CHARS = parseInt(process.env.AUDIT_MAX_RESULT_CHARS || '50000', 10);
+
+const CSV_COLUMNS = ['id', 'timestamp', 'channelId', 'userName', 'toolName', 'server', 'input', 'outcome', 'exitCode', 'approvedBy', 'durationMs', 'result'];
+
+/**
+ * server_exec reports failures as "Command exited with code N"
+ */
+function extractExitCode(toolName, outcome, result) {
+  if (toolName !== 'server_exec') return null;
+
+  const match = typeof result === 'string' && result.match(/exited with code (\d+)/);
+  if (match) return parseInt(match[1], 10);
+  return outcome === 'success' ? 0 : null;
+}
+
+/**
+ * Record one tool execution
+ * @param {Object} entry - { channelId, userName, toolName, input, outcome, result, approvedBy, durationMs }
+ *   outcome: 'success' | 'error' | 'denied' | 'rejected'
+ */
+export function recordToolExecution({ channelId, userName, toolName, input, outcome, result, approvedBy, durationMs }) {
+  const text = typeof result === 'string' ? result : JSON.stringify(result);
+
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    channelId: channelId || null,
+    userName: userName || null,
+    toolName,
+    input,
+    outcome,
+    exitCode: extractExitCode(toolName, outcome, text),
+    approvedBy: approvedBy || null,
+    durationMs,
+    result: text && text.length > MAX_RESULT_CHARS
+      ? `${text.substring(0, MAX_RESULT_CHARS)}\n...[truncated]`
+      : text
+  };
+
+  try {
+    appendJsonl(AUDIT_FILE, entry);
+  } catch (error) {
+    log.error(`❌ Failed to write audit log:`, error.message);
+  }
+
+  return entry;
+}
+
+/**
+ * Query the audit log
+ * Filters: channel, user, tool, server, outcome, from, to (ISO timestamps or YYYY-MM-DD), limit
+ * Newest entries first.
+ */
+export function queryAuditLog({ channel, user, tool, server, outcome, from, to, limit } = {}) {
+  // Date-only "to" includes the whole day
+  const toBound = to && to.length === 10 ? `${to}T23:59:59.999Z` : to;
+
+  const entries = readJsonl(AUDIT_FILE).filter(entry =>
+    (!channel || entry.channelId === channel) &&
+    (!user || entry.userName === user) &&
+    (!tool || entry.toolName === tool) &&
+    (!server || entry.input?.server === server) &&
+    (!outcome || entry.outcome === outcome) &&
+    (!from || entry.timestamp >= from) &&
+    (!toBound || entry.timestamp <= toBound)
+  );
+
+  entries.reverse();
+  return limit ? entries.slice(0, parseInt(limit, 10)) : entries;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render audit entries as CSV
+ */
+export function auditLogToCsv(entries) {
+  const rows = entries.map(entry => CSV_COLUMNS.map(column =>
+    csvCell(column === 'server' ? entry.input?.server : entry[column])
+  ).join(','));
+
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
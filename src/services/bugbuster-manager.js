@@ -4,21 +4,84 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
-import { tools, executeTool } from '../tools/index.js';
-import { sendViaWebhook } from '../routes/cliq.js';
+import { EventEmitter } from 'events';
+import { getToolsForProfile } from '../tools/index.js';
+import { runToolCalls } from './tool-runner.js';
 import { meetBotManager } from './meet-bot-manager.js';
+import { createSessionStore } from './session-store.js';
+import { costLedger } from './cost-ledger.js';
+import { callWithFallback } from './anthropic-retry.js';
+import { withCachedTools, withCachedSystem, withCachedHistory } from './prompt-cache.js';
+import { getModelConfig } from '../config/models.js';
+import { getChannelProfile } from '../config/channel-profiles.js';
+import { parseSessionKey, channelIdOf } from './session-key.js';
+import { DATA_DIR } from './jsonl-log.js';
+import { rateLimiter } from './rate-limiter.js';
+import { STAY_SILENT_TOOL, STAY_SILENT_RESULT, isStaySilentCall, isLegacySilentText, logReplyDecision } from './reply-intent.js';
+import { compactHistory, renderTranscript, DEFAULT_COMPACTION_THRESHOLD } from './context-compactor.js';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import { createLogger, runWithCorrelation, getCorrelationId } from './logger.js';
+
+const log = createLogger('agent');
+
+// Sessions paused by an admin (survives restarts)
+const PAUSED_SESSIONS_FILE = path.join(DATA_DIR, 'paused-sessions.json');
+
+/**
+ * Describe a tool call as a short progress line
+ */
+function describeToolCall(toolCall) {
+  const input = toolCall.input || {};
+
+  switch (toolCall.name) {
+    case 'server_exec':
+      return `running server_exec on ${input.server}: ${input.command}`;
+    case 'create_jira_ticket':
+      return `creating jira ticket "${input.title}"`;
+    case 'update_memory':
+      return `saving a note to memory`;
+    case 'join_google_meet':
+      return `joining the google meet`;
+    default:
+      return `running ${toolCall.name}`;
+  }
+}
 
 /**
  * Session Manager using direct Anthropic API
- * Stores conversation history per channel
+ * Stores conversation history per session: a channel, or a thread inside one (see session-key.js).
+ * The channelId taken by the session methods below is that session key - per-channel settings
+ * (profile, model, budgets, Meet) are looked up by the channel it belongs to.
+ *
+ * Events (adapters subscribe to show output and progress), all carrying { sessionKey, channelId, threadId }:
+ * - text_delta { ..., delta }                   partial text as it streams in
+ * - text       { ..., text }                    a complete text block to post
+ * - progress   { ..., stage, toolName, input, message, error? }
+ *              stage: 'tool_start' | 'tool_end'
+ * - tool_results { ..., results: [{ toolName, input, result, isError }] }   after each tool round
+ * - turn_end   { ..., silent, reason, error? }  the turn is over - whether it ended in stay_silent is known now
+ *
+ * Options (defaults are what the app uses; the replay harness overrides them):
+ * - claudeMdPath, memoryPath   system prompt files
+ * - executeTool                tool executor (toolName, input, context) => string
+ * - getTools                   profile => tool definitions offered to Claude
+ * - store                      session store
+ * - rateLimiter                rate limiter (null = no limits)
+ * - costLedger                 { record, calculateCacheSavings, checkBudget } - usage ledger and budget checks
+ * - pausedSessions             Map of admin pauses, kept in memory only (default: data/paused-sessions.json)
  */
-class AgentSDKManager {
-  constructor() {
+export class AgentSDKManager extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.options = options;
+    this.getTools = options.getTools || getToolsForProfile;
+    this.rateLimiter = options.rateLimiter === undefined ? rateLimiter : options.rateLimiter;
+    this.costLedger = options.costLedger || costLedger;
     // Map: channelId -> array of messages [{ role: 'user'|'assistant', content: string }]
     this.conversationHistory = new Map();
-    // Map: channelId -> { totalCost, messageCount, createdAt, lastActivityAt }
+    // Map: channelId -> { totalCost, messageCount, cacheReadTokens, cacheWriteTokens, createdAt, lastActivityAt }
     this.sessionStats = new Map();
     // Map: channelId -> timeout ID for auto-cleanup
     this.inactivityTimers = new Map();
@@ -28,12 +91,175 @@ class AgentSDKManager {
     this.messageQueues = new Map();
     // Map: channelId -> channelName (for sending messages)
     this.channelNames = new Map();
+    // Map: session key (or channel ID - pauses its threads too) -> { pausedAt, reason }
+    this.pausedSessions = options.pausedSessions || this.loadPausedSessions();
     // Inactivity timeout: 30 minutes
     this.INACTIVITY_TIMEOUT_MS = 30 * 60 * 1000;
-    // Casual system prompt loaded once
-    this.systemPrompt = this.loadSystemPrompt();
+    // Map: channelId -> timeout ID of the next debounced store write
+    this.persistTimers = new Map();
+    // Map: channelId -> Promise of the last store write (writes for a channel never overlap)
+    this.storeWrites = new Map();
+    this.PERSIST_DEBOUNCE_MS = parseInt(process.env.SESSION_PERSIST_DEBOUNCE_MS || '1000', 10);
+    // Casual system prompt (CLAUDE.md + memory), reloaded whenever either file changes
+    this.systemPrompt = null;
+    this.promptFingerprint = null;
+    this.promptLoadedAt = null;
+    this.getSystemPrompt();
     // Anthropic client (lazy init)
     this._client = null;
+    // Persistent session store (file by default, see SESSION_STORE)
+    this.store = options.store || createSessionStore();
+    this.restoreSessions();
+  }
+
+  /**
+   * Reload persisted sessions at boot
+   * Expired sessions are dropped by their lastActivityAt timestamp, live ones
+   * get their inactivity timer re-armed for the remaining time
+   */
+  restoreSessions() {
+    let records;
+    try {
+      records = this.store.loadAll();
+    } catch (error) {
+      log.warn(`⚠️  Could not load persisted sessions: ${error.message}`);
+      return;
+    }
+
+    const pending = [];
+
+    for (const record of records) {
+      const { channelId, channelName, history, stats, pendingMessages } = record;
+      if (!channelId || !Array.isArray(history) || !stats) continue;
+
+      if (this.isExpired(stats)) {
+        log.info(`⏰ Dropping expired persisted session for channel ${channelId}`);
+        this.enqueueStoreWrite(channelId, () => this.store.delete(channelId));
+        continue;
+      }
+
+      this.conversationHistory.set(channelId, this.repairHistory(history));
+      this.sessionStats.set(channelId, stats);
+      if (channelName) {
+        this.channelNames.set(channelId, channelName);
+      }
+
+      const idleMs = Date.now() - new Date(stats.lastActivityAt).getTime();
+      this.armInactivityTimer(channelId, Math.max(this.INACTIVITY_TIMEOUT_MS - idleMs, 0));
+
+      if (Array.isArray(pendingMessages) && pendingMessages.length > 0) {
+        pending.push({ channelId, channelName, messages: pendingMessages });
+      }
+    }
+
+    if (this.conversationHistory.size > 0) {
+      log.info(`♻️  Restored ${this.conversationHistory.size} persisted sessions`);
+    }
+
+    // Replay messages that were still queued when the process went down
+    // (deferred so the rest of the app finishes booting first)
+    setImmediate(() => {
+      for (const { channelId, channelName, messages } of pending) {
+        log.info(`📬 Replaying ${messages.length} queued messages for channel ${channelId}`);
+        for (const message of messages) {
+          this.dispatchMessage(channelId, message.userMessage, channelName, message.messageContent, message.options)
+            .catch(error => log.error(`❌ Failed to replay queued message for ${channelId}:`, error.message));
+        }
+      }
+    });
+  }
+
+  /**
+   * Drop a trailing assistant turn whose tool calls never got results
+   * (process died mid tool loop) - the API rejects unanswered tool_use blocks.
+   * A trailing stay_silent call is kept, the next user turn answers it.
+   */
+  repairHistory(history) {
+    const last = history[history.length - 1];
+    const toolCalls = Array.isArray(last?.content) ? last.content.filter(block => block.type === 'tool_use') : [];
+    if (last && last.role === 'assistant' && toolCalls.length > 0 && !toolCalls.every(isStaySilentCall)) {
+      log.info(`🩹 Dropping unfinished tool round from restored history`);
+      return history.slice(0, -1);
+    }
+    return history;
+  }
+
+  /**
+   * Check session expiry by timestamp (timers don't survive restarts)
+   */
+  isExpired(stats) {
+    if (!stats || !stats.lastActivityAt) return false;
+    return Date.now() - new Date(stats.lastActivityAt).getTime() >= this.INACTIVITY_TIMEOUT_MS;
+  }
+
+  /**
+   * Schedule a write of a channel session to the store
+   * Writes are debounced (SESSION_PERSIST_DEBOUNCE_MS) - a busy tool loop changes the
+   * session many times a second, and each write serializes the whole history (images included)
+   */
+  persistSession(channelId) {
+    if (!this.conversationHistory.has(channelId) || this.persistTimers.has(channelId)) return;
+
+    this.persistTimers.set(channelId, setTimeout(() => {
+      this.flushSession(channelId);
+    }, this.PERSIST_DEBOUNCE_MS));
+  }
+
+  /**
+   * Write a channel session to the store now (cancels the scheduled write)
+   * @returns {Promise} resolves once the write is done (never rejects)
+   */
+  flushSession(channelId) {
+    clearTimeout(this.persistTimers.get(channelId));
+    this.persistTimers.delete(channelId);
+
+    if (!this.conversationHistory.has(channelId)) {
+      return this.storeWrites.get(channelId) || Promise.resolve();
+    }
+
+    return this.enqueueStoreWrite(channelId, () => {
+      // Snapshot taken when the write runs, so it carries everything that changed while waiting
+      const queue = this.messageQueues.get(channelId) || [];
+      if (!this.conversationHistory.has(channelId)) return;
+      return this.store.save(channelId, {
+        channelId,
+        channelName: this.channelNames.get(channelId) || null,
+        history: this.conversationHistory.get(channelId),
+        stats: this.sessionStats.get(channelId),
+        // Content not built yet (attachments not downloaded) can't be saved - the text still is
+        pendingMessages: queue.map(({ userMessage, messageContent, options }) => ({
+          userMessage,
+          messageContent: typeof messageContent === 'function' ? null : messageContent,
+          options
+        }))
+      });
+    });
+  }
+
+  /**
+   * Write every session with a scheduled write (shutdown)
+   */
+  flushAllSessions() {
+    const channelIds = new Set([...this.persistTimers.keys(), ...this.storeWrites.keys()]);
+    return Promise.all(Array.from(channelIds, channelId => this.flushSession(channelId)));
+  }
+
+  /**
+   * Run a store operation after the channel's previous one finished
+   */
+  enqueueStoreWrite(channelId, operation) {
+    const previous = this.storeWrites.get(channelId) || Promise.resolve();
+    const write = previous
+      .then(operation)
+      .catch(error => log.error(`❌ Failed to persist session for channel ${channelId}:`, error.message))
+      .finally(() => {
+        if (this.storeWrites.get(channelId) === write) {
+          this.storeWrites.delete(channelId);
+        }
+      });
+
+    this.storeWrites.set(channelId, write);
+    return write;
   }
 
   /**
@@ -42,29 +268,164 @@ class AgentSDKManager {
   getClient() {
     if (!this._client) {
       this._client = new Anthropic({
-        apiKey: process.env.ANTHROPIC_API_KEY
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        // Retries are handled by callWithFallback (backoff + fallback model)
+        maxRetries: 0
       });
     }
     return this._client;
   }
 
+  /**
+   * Call the Messages API in streaming mode
+   * Emits text_delta events while the response streams, resolves with the final message.
+   * Transient errors are retried with backoff, then the fallback model is tried - unless text already streamed.
+   * Every call is recorded in the cost ledger (attributed to channel + user).
+   * @param {Array} tools - Tool definitions enabled for the channel
+   * @param {string} model - Optional override of the configured model (e.g. budget downgrade)
+   */
+  async createMessage(channelId, { system, messages, tools, model, userName }) {
+    const config = getModelConfig(channelIdOf(channelId));
+    if (model) {
+      config.model = model;
+    }
+
+    const { result: response, model: usedModel } = await callWithFallback(async (attemptModel) => {
+      const stream = this.getClient().messages.stream({
+        model: attemptModel,
+        max_tokens: config.maxTokens,
+        system: withCachedSystem(system),
+        messages: withCachedHistory(messages),
+        tools: withCachedTools(tools)
+      });
+
+      let streamed = false;
+      stream.on('text', (delta) => {
+        streamed = true;
+        this.emit('text_delta', { ...this.sessionFields(channelId), delta });
+      });
+
+      try {
+        return await stream.finalMessage();
+      } catch (error) {
+        // Retried only before the first delta, so listeners never see the same text twice
+        if (streamed) error.partialResponse = true;
+        throw error;
+      }
+    }, config);
+
+    this.recordUsage(channelId, userName, usedModel, response.usage);
+    return response;
+  }
+
+  /**
+   * Fields every event carries: the session plus the Cliq channel/thread to post into
+   */
+  sessionFields(sessionKey) {
+    return { sessionKey, ...parseSessionKey(sessionKey) };
+  }
+
+  /**
+   * Record API usage in the cost ledger and the session stats
+   */
+  recordUsage(channelId, userName, model, usage) {
+    const entry = this.costLedger.record({ channelId: channelIdOf(channelId), userName, model, usage });
+    this.addCost(channelId, entry.cost);
+
+    const stats = this.sessionStats.get(channelId);
+    if (stats) {
+      stats.cacheReadTokens = (stats.cacheReadTokens || 0) + entry.cacheReadTokens;
+      stats.cacheWriteTokens = (stats.cacheWriteTokens || 0) + entry.cacheCreationTokens;
+      stats.cacheSavings = (stats.cacheSavings || 0) + this.costLedger.calculateCacheSavings(model, usage);
+    }
+
+    log.info(`💰 Cost: $${entry.cost.toFixed(4)} [${model}]`, {
+      sessionKey: channelId,
+      userName,
+      model,
+      cost: entry.cost,
+      inputTokens: entry.inputTokens,
+      outputTokens: entry.outputTokens,
+      cacheReadTokens: entry.cacheReadTokens,
+      cacheWriteTokens: entry.cacheCreationTokens
+    });
+    return entry;
+  }
+
+  /**
+   * Polite refusal when a budget cap is hit
+   */
+  formatBudgetNotice(exceeded) {
+    const { scope, period } = exceeded[0];
+    const when = period === 'daily' ? 'today' : 'this month';
+    const who = scope === 'user' ? 'ur' : scope === 'channel' ? "this channel's" : "the team's";
+    return `sorry, ${who} AI budget for ${when} is used up so i gotta sit this one out. ping an admin if it's urgent 🙏`;
+  }
+
+  /**
+   * Paths of the prompt sources in the agent project directory (not the cloned repo)
+   */
+  getPromptPaths() {
+    const projectRoot = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..', '..');
+    return {
+      claudeMdPath: this.options.claudeMdPath || path.join(projectRoot, '.claude', 'CLAUDE.md'),
+      memoryPath: this.options.memoryPath || path.join(projectRoot, 'agent-memory.md')
+    };
+  }
+
+  /**
+   * mtime + size of the prompt files - changes whenever CLAUDE.md is edited
+   * or update_memory writes a note
+   */
+  getPromptFingerprint() {
+    return Object.values(this.getPromptPaths()).map(file => {
+      try {
+        const stat = fs.statSync(file);
+        return `${stat.mtimeMs}:${stat.size}`;
+      } catch (error) {
+        return 'missing';
+      }
+    }).join('|');
+  }
+
+  /**
+   * Current system prompt, re-assembled if CLAUDE.md or memory changed since last load
+   */
+  getSystemPrompt() {
+    if (this.systemPrompt === null || this.getPromptFingerprint() !== this.promptFingerprint) {
+      this.reloadSystemPrompt();
+    }
+    return this.systemPrompt;
+  }
+
+  /**
+   * Force a reload of the system prompt and memory
+   */
+  reloadSystemPrompt() {
+    this.promptFingerprint = this.getPromptFingerprint();
+    this.systemPrompt = this.loadSystemPrompt();
+    this.promptLoadedAt = new Date().toISOString();
+
+    return {
+      length: this.systemPrompt.length,
+      loadedAt: this.promptLoadedAt
+    };
+  }
+
   /**
    * Load casual system prompt from CLAUDE.md in agent project directory
    */
   loadSystemPrompt() {
-    // Use agent project directory, not the cloned repo
-    const projectRoot = path.resolve(path.dirname(new URL(import.meta.url).pathname), '..', '..');
-    const claudeMdPath = path.join(projectRoot, '.claude', 'CLAUDE.md');
-    const memoryPath = path.join(projectRoot, 'agent-memory.md');
+    const { claudeMdPath, memoryPath } = this.getPromptPaths();
 
     let prompt = '';
 
     try {
       prompt = fs.readFileSync(claudeMdPath, 'utf-8');
-      console.log(`✅ Loaded casual prompt from ${claudeMdPath} (${prompt.length} chars)`);
-      console.log(`🔍 First 200 chars: ${prompt.substring(0, 200)}`);
+      log.info(`✅ Loaded casual prompt from ${claudeMdPath} (${prompt.length} chars)`);
+      log.debug(`🔍 First 200 chars: ${prompt.substring(0, 200)}`);
     } catch (error) {
-      console.warn(`⚠️  Could not load CLAUDE.md: ${error.message}`);
+      log.warn(`⚠️  Could not load CLAUDE.md: ${error.message}`);
       prompt = 'You are BugBuster 3000, a helpful debugging assistant.';
     }
 
@@ -73,27 +434,58 @@ class AgentSDKManager {
       if (fs.existsSync(memoryPath)) {
         const memory = fs.readFileSync(memoryPath, 'utf-8');
         prompt += `\n\n---\n\n# YOUR MEMORY\n\n${memory}`;
-        console.log(`💾 Loaded memory (${memory.length} chars)`);
+        log.info(`💾 Loaded memory (${memory.length} chars)`);
       }
     } catch (error) {
-      console.warn(`⚠️  Could not load memory: ${error.message}`);
+      log.warn(`⚠️  Could not load memory: ${error.message}`);
     }
 
     return prompt;
   }
 
+  /**
+   * Content for a new user turn
+   * A turn that ended with stay_silent leaves that call unanswered - its tool_result
+   * goes in front of the next user message so the history stays valid
+   */
+  withPendingSilence(history, content) {
+    const last = history[history.length - 1];
+    if (!last || last.role !== 'assistant' || !Array.isArray(last.content)) {
+      return content;
+    }
+
+    const silentCalls = last.content.filter(isStaySilentCall);
+    if (silentCalls.length === 0) {
+      return content;
+    }
+
+    return [
+      ...silentCalls.map(call => ({ type: 'tool_result', tool_use_id: call.id, content: STAY_SILENT_RESULT })),
+      ...(typeof content === 'string' ? [{ type: 'text', text: content }] : content)
+    ];
+  }
+
   /**
    * Get or initialize conversation history for a channel
    */
   getOrInitHistory(channelId) {
+    // Timers may have been lost (restart, suspended process) - check the clock too
+    if (this.conversationHistory.has(channelId) && this.isExpired(this.sessionStats.get(channelId))) {
+      log.info(`⏰ Session for channel ${channelId} expired due to inactivity (30 minutes)`);
+      this.closeSession(channelId);
+    }
+
     if (!this.conversationHistory.has(channelId)) {
-      console.log(`🆕 Initializing conversation history for channel ${channelId}`);
+      log.info(`🆕 Initializing conversation history for channel ${channelId}`);
       this.conversationHistory.set(channelId, []);
 
       // Initialize stats
       this.sessionStats.set(channelId, {
         totalCost: 0,
         messageCount: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        cacheSavings: 0,
         createdAt: new Date().toISOString(),
         lastActivityAt: new Date().toISOString()
       });
@@ -101,26 +493,97 @@ class AgentSDKManager {
       // Start inactivity timer
       this.resetInactivityTimer(channelId);
     } else {
-      console.log(`♻️  Reusing conversation history for channel ${channelId} (${this.conversationHistory.get(channelId).length} messages)`);
+      log.info(`♻️  Reusing conversation history for channel ${channelId} (${this.conversationHistory.get(channelId).length} messages)`);
       this.resetInactivityTimer(channelId);
     }
 
+    this.persistSession(channelId);
+
     return this.conversationHistory.get(channelId);
   }
 
   /**
    * Send message using Anthropic API with queueing
-   * Returns response text
-   * @param {Array} messageContent - Optional content blocks (text + images)
+   * Returns { text, silent, reason } - silent when the agent called stay_silent
+   * (text is then whatever it wrote anyway, never to be posted)
+   * @param {Array|Function} messageContent - Optional content blocks (text + images), or an async function
+   *                            returning them - called when the message gets its turn (attachment downloads)
+   * @param {Object} options - { userName, messageId, source } - Cliq user who triggered the message (cost attribution,
+   *                            budgets), the id of the inbound message (passed to tools, used by the recorder,
+   *                            the log correlation ID - generated when missing) and 'meet' for meeting transcripts
+   *                            (speakers aren't rate limited, overflow is dropped without a notice)
    */
-  async sendMessage(channelId, userMessage, channelName = null, messageContent = null) {
-    // Store channel name for sending messages
+  async sendMessage(channelId, userMessage, channelName = null, messageContent = null, options = {}) {
+    // Store channel name for sending messages (under the session and its channel - Meet and approvals look it up by channel)
     if (channelName) {
       this.channelNames.set(channelId, channelName);
+      this.channelNames.set(channelIdOf(channelId), channelName);
+    }
+    // Paused by an admin - the agent doesn't see the message at all
+    const pause = this.getPause(channelId);
+    if (pause) {
+      log.info(`⏸️  Ignoring message for paused session ${channelId}`);
+      return { text: '', silent: true, reason: `session paused${pause.reason ? `: ${pause.reason}` : ''}` };
+    }
+
+    // Rate limits and queue depth - overflow gets one friendly notice instead of queuing forever
+    const overflow = this.checkOverflow(channelId, options.userName, options.source);
+    if (overflow) {
+      return overflow;
+    }
+
+    // Every message gets an id - it is the correlation ID of everything it triggers, even when queued
+    const messageId = options.messageId || getCorrelationId() || crypto.randomUUID();
+    return this.dispatchMessage(channelId, userMessage, channelName, messageContent, { ...options, messageId });
+  }
+
+  /**
+   * Rate limit / queue depth check for an incoming message
+   * @returns {Object|null} the reply to return instead of processing, or null to go ahead
+   */
+  checkOverflow(channelId, userName, source = null) {
+    const limiter = this.rateLimiter;
+    if (!limiter) return null;
+
+    // People talking in a meeting aren't typing messages - only the channel limit applies to transcripts
+    const fromMeet = source === 'meet';
+    const queueDepth = (this.messageQueues.get(channelId) || []).length;
+    const queueFull = this.processingLocks.has(channelId) && limiter.isQueueFull(queueDepth);
+    const limit = queueFull ? null : limiter.check({ channelId: channelIdOf(channelId), userName: fromMeet ? null : userName });
+    if (!queueFull && limit.allowed) {
+      return null;
+    }
+
+    const noticeKey = queueFull ? `queue:${channelId}` : limit.key;
+    log.info(`🚦 Dropping message for channel ${channelId} from ${userName || 'unknown user'}: ${queueFull ? `queue full (${queueDepth})` : `${limit.scope} rate limit`}`);
+
+    if (fromMeet) {
+      return { text: '', silent: true, reason: 'rate limited (meeting transcript)' };
     }
+    if (!limiter.shouldNotify(noticeKey)) {
+      return { text: '', silent: true, reason: 'rate limited (already notified)' };
+    }
+
+    const seconds = queueFull ? null : Math.max(Math.ceil(limit.retryAfterMs / 1000), 1);
+    const notice = queueFull
+      ? `whoa, i've still got ${queueDepth} messages lined up here - gimme a sec to catch up, then send that again 🙏`
+      : limit.scope === 'user'
+        ? `${userName ? `${userName}, ` : ''}ur sending messages faster than i can keep up - try again in ${seconds}s 🙏`
+        : `this channel is sending more than i can keep up with - try again in ${seconds}s 🙏`;
+    this.emit('text', { ...this.sessionFields(channelId), text: notice });
+    return { text: notice, silent: false, reason: null };
+  }
+
+  /**
+   * Run a message now, or queue it behind the one being processed
+   * (queued and restored messages come back through here - they were already admitted)
+   * Content given as a function is built under the session's lock, so a slow build (attachment
+   * downloads) holds the queue in order and counts towards its depth
+   */
+  async dispatchMessage(channelId, userMessage, channelName = null, messageContent = null, options = {}) {
     // Check if already processing - add to queue
     if (this.processingLocks.has(channelId)) {
-      console.log(`⏳ Message queued for channel ${channelId} (already processing)`);
+      log.info(`⏳ Message queued for channel ${channelId} (already processing)`);
 
       // Add to queue
       if (!this.messageQueues.has(channelId)) {
@@ -128,7 +591,8 @@ class AgentSDKManager {
       }
 
       return new Promise((resolve) => {
-        this.messageQueues.get(channelId).push({ userMessage, channelName, messageContent, resolve });
+        this.messageQueues.get(channelId).push({ userMessage, channelName, messageContent, options, resolve });
+        this.persistSession(channelId);
       });
     }
 
@@ -136,7 +600,10 @@ class AgentSDKManager {
     this.processingLocks.set(channelId, true);
 
     try {
-      const response = await this._processMessage(channelId, userMessage, messageContent);
+      const response = await runWithCorrelation(options.messageId || crypto.randomUUID(), async () => {
+        const content = typeof messageContent === 'function' ? await messageContent() : messageContent;
+        return this._processMessage(channelId, userMessage, content, options);
+      });
 
       // Always release lock after processing current message
       this.processingLocks.delete(channelId);
@@ -145,15 +612,17 @@ class AgentSDKManager {
       const queue = this.messageQueues.get(channelId);
       if (queue && queue.length > 0) {
         const next = queue.shift();
-        console.log(`📬 Processing next queued message for channel ${channelId} (${queue.length} remaining)`);
+        if (queue.length === 0) this.messageQueues.delete(channelId);
+        this.persistSession(channelId);
+        log.info(`📬 Processing next queued message for channel ${channelId} (${queue.length} remaining)`);
 
         // Process next message asynchronously (will acquire new lock)
         setImmediate(async () => {
           try {
-            const nextResponse = await this.sendMessage(channelId, next.userMessage, next.channelName, next.messageContent);
+            const nextResponse = await this.dispatchMessage(channelId, next.userMessage, next.channelName, next.messageContent, next.options);
             next.resolve(nextResponse);
           } catch (error) {
-            next.resolve(`Error: ${error.message}`);
+            next.resolve({ text: `Error: ${error.message}`, silent: false, reason: null });
           }
         });
       }
@@ -168,9 +637,25 @@ class AgentSDKManager {
   /**
    * Internal: Process single message
    * @param {Array} messageContent - Optional content blocks (text + images)
+   * @param {Object} options - { userName, messageId }
    */
-  async _processMessage(channelId, userMessage, messageContent = null) {
-    console.log(`🤖 Processing message for channel ${channelId}`);
+  async _processMessage(channelId, userMessage, messageContent = null, options = {}) {
+    log.info(`🤖 Processing message for channel ${channelId}`);
+    const { userName, messageId } = options;
+    const { channelId: cliqChannelId, threadId } = parseSessionKey(channelId);
+
+    // Budget caps: refuse politely or fall back to a cheaper model
+    const budget = this.costLedger.checkBudget({ channelId: cliqChannelId, userName });
+    if (!budget.allowed) {
+      log.info(`💸 Budget exceeded for channel ${channelId} (${userName || 'unknown user'}), refusing`);
+      const notice = this.formatBudgetNotice(budget.exceeded);
+      this.emit('text', { ...this.sessionFields(channelId), text: notice });
+      return { text: notice, silent: false, reason: null };
+    }
+    const model = budget.model || null;
+    if (model) {
+      log.info(`💸 Budget exceeded for channel ${channelId}, downgrading to ${model}`);
+    }
 
     // Get conversation history
     const history = this.getOrInitHistory(channelId);
@@ -180,22 +665,24 @@ class AgentSDKManager {
     const contentToAdd = messageContent || userMessage;
     history.push({
       role: 'user',
-      content: contentToAdd
+      content: this.withPendingSilence(history, contentToAdd)
     });
+    this.persistSession(channelId);
 
     // Check if this channel is currently in a Google Meet
     // Only use Google Meet mode if bot is ACTUALLY in a meeting, not just when user sends a meet link
-    const isGoogleMeet = meetBotManager.isChannelInMeeting(channelId);
+    // Threads stay regular chat - the meeting belongs to the channel's main session
+    const isGoogleMeet = !threadId && meetBotManager.isChannelInMeeting(cliqChannelId);
 
-    console.log(`📝 History length: ${history.length} messages`);
-    console.log(`📤 Content type: ${Array.isArray(contentToAdd) ? 'multimodal' : 'text'}`);
+    log.debug(`📝 History length: ${history.length} messages`);
+    log.debug(`📤 Content type: ${Array.isArray(contentToAdd) ? 'multimodal' : 'text'}`);
     if (Array.isArray(contentToAdd)) {
-      console.log(`📤 Content blocks: ${contentToAdd.length} (${contentToAdd.map(b => b.type).join(', ')})`);
+      log.debug(`📤 Content blocks: ${contentToAdd.length} (${contentToAdd.map(b => b.type).join(', ')})`);
     }
-    console.log(`📤 Sending to Anthropic API with ${history.length} messages`);
+    log.debug(`📤 Sending to Anthropic API with ${history.length} messages`);
 
     // Build system prompt with Google Meet rules if needed
-    let systemPrompt = this.systemPrompt;
+    let systemPrompt = this.getSystemPrompt();
     if (isGoogleMeet) {
       systemPrompt += `\n\n## GOOGLE MEET RULES (CRITICAL!)
 
@@ -205,7 +692,7 @@ YOU ARE IN A GOOGLE MEET CALL. Follow these rules strictly:
    - Default behavior: observe and listen
    - Only speak when DIRECTLY asked a question or explicitly requested to do something
    - Examples of when to speak: "bugbuster what do you think?", "check the servers", "can you help with this?"
-   - Examples of when to stay SILENT: general discussion, people talking to each other, casual conversation
+   - Examples of when to stay silent (call stay_silent): general discussion, people talking to each other, casual conversation
 
 2. **WHEN DOING WORK (using tools):**
    - ALWAYS give quick initial response: "aight checking now" or "on it" or "lemme see"
@@ -226,78 +713,73 @@ Examples:
   You: "all servers running fine" (final summary)
 
 - User: "what do you guys think about the new feature?" (general question, not for you)
-  You: [SILENT]
+  You: (call stay_silent, no text)
 
 REMEMBER: You're a participant in a meeting, not leading it. Speak only when needed.`;
-      console.log(`🎙️  Using Google Meet mode with special rules`);
+      log.info(`🎙️  Using Google Meet mode with special rules`);
+    }
+
+    // Channel profile: project-specific prompt overlay and tool subset
+    const profile = getChannelProfile(cliqChannelId, this.channelNames.get(cliqChannelId));
+    if (profile.promptOverlay) {
+      systemPrompt += `\n\n## THIS CHANNEL\n\n${profile.promptOverlay}`;
+    }
+    // stay_silent is always offered - the manager handles it, it never reaches the registry
+    const tools = [...this.getTools(profile), STAY_SILENT_TOOL];
+    if (profile.key) {
+      log.info(`🗂️  Using channel profile "${profile.key}" (${tools.length} tools)`);
     }
 
     try {
-      const client = this.getClient();
-      let response = await client.messages.create({
-        model: 'claude-sonnet-4-5-20250929',
-        max_tokens: 8192,
+      await this.compactIfNeeded(channelId, history);
+      let response = await this.createMessage(channelId, {
         system: systemPrompt, // With Google Meet rules if applicable
         messages: [...history], // Full history
-        tools: tools // Add tools
+        tools,
+        model,
+        userName
       });
 
       // Tool execution loop
       let assistantText = '';
       const MAX_TOOL_ROUNDS = 50;
       let toolRound = 0;
+      // Set once the agent calls stay_silent - nothing more is posted this turn
+      let silence = null;
 
       while (toolRound < MAX_TOOL_ROUNDS) {
+        const silentCall = response.content.find(isStaySilentCall);
+        if (silentCall && !silence) {
+          silence = { reason: silentCall.input?.reason || null };
+          log.info(`🤫 Agent decided to stay silent: ${silence.reason || 'no reason given'}`);
+        }
+
         // Extract and send text blocks immediately
         for (const block of response.content) {
+          if (block.type === 'text' && !silence && isLegacySilentText(block.text)) {
+            silence = { reason: 'replied [SILENT] (deprecated)' };
+            continue;
+          }
           if (block.type === 'text' && block.text.trim()) {
-            const trimmedText = block.text.trim();
             assistantText += block.text;
 
-            // Skip sending if agent wants to stay silent
-            // Check if the ENTIRE message is just [SILENT] (case-insensitive, ignore whitespace)
-            if (trimmedText.toUpperCase() === '[SILENT]') {
-              console.log(`🤫 Agent decided to stay silent (off-topic)`);
-              continue;
-            }
-
-            // Also check if message CONTAINS [SILENT] marker anywhere
-            if (trimmedText.toUpperCase().includes('[SILENT]')) {
-              console.log(`🤫 Agent message contains [SILENT] marker, skipping send`);
-              continue;
-            }
-
-            // Send text block immediately to Cliq (unless channel is in a Google Meet)
-            const storedChannelName = this.channelNames.get(channelId);
-            if (storedChannelName) {
-              // Check if this channel is currently in a Google Meet
-              const isInMeeting = meetBotManager.isChannelInMeeting(channelId);
-
-              if (isInMeeting) {
-                console.log(`🎥 Channel is in Google Meet - message will be sent to meeting chat instead of Cliq`);
-                // Message will be sent to Google Meet chat by meet.js route handler
-              } else {
-                // Send to Cliq
-                try {
-                  await sendViaWebhook(channelId, storedChannelName, trimmedText);
-                  console.log(`📤 Sent text block: ${trimmedText.substring(0, 50)}...`);
-                } catch (error) {
-                  console.error(`❌ Failed to send text block:`, error.message);
-                }
-              }
+            // Hand the text block to the adapters (Cliq posts it immediately)
+            if (!silence) {
+              this.emit('text', { ...this.sessionFields(channelId), text: block.text.trim() });
             }
           }
         }
 
         // Check for tool calls
         const toolCalls = response.content.filter(block => block.type === 'tool_use');
+        const actionCalls = toolCalls.filter(block => !isStaySilentCall(block));
 
-        if (toolCalls.length === 0) {
-          // No more tool calls, we're done
+        if (actionCalls.length === 0) {
+          // No more tool calls (or only stay_silent, answered at the start of the next user turn), we're done
           break;
         }
 
-        console.log(`🔧 Agent requested ${toolCalls.length} tool calls (round ${toolRound + 1})`);
+        log.info(`🔧 Agent requested ${actionCalls.length} tool calls (round ${toolRound + 1})`);
 
         // Add assistant message with tool calls to history
         history.push({
@@ -305,44 +787,66 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
           content: response.content
         });
 
-        // Execute tools and collect results
-        const toolResults = [];
-        for (const toolCall of toolCalls) {
-          console.log(`   - Executing: ${toolCall.name}`);
-          try {
-            // Pass context (channelId) to tools that need it
-            const context = { channelId };
-            const result = await executeTool(toolCall.name, toolCall.input, context);
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: toolCall.id,
-              content: result
-            });
-            console.log(`   ✓ ${toolCall.name} completed`);
-          } catch (error) {
-            console.error(`   ✗ ${toolCall.name} failed:`, error.message);
-            toolResults.push({
-              type: 'tool_result',
-              tool_use_id: toolCall.id,
-              content: `Error: ${error.message}`,
-              is_error: true
-            });
+        // Execute tools concurrently (order of results matches toolCalls)
+        // Pass context (channel, thread, user, inbound message, profile) to tools that need it
+        const context = {
+          channelId: cliqChannelId,
+          channelName: this.channelNames.get(cliqChannelId) || null,
+          threadId,
+          userName,
+          messageId: messageId || null,
+          profile
+        };
+        const progressFor = (toolCall) => ({
+          ...this.sessionFields(channelId),
+          toolName: toolCall.name,
+          input: toolCall.input,
+          message: describeToolCall(toolCall)
+        });
+        const actionResults = await runToolCalls(actionCalls, context, {
+          execute: this.options.executeTool,
+          onStart: (toolCall) => {
+            log.info(`   - Executing: ${toolCall.name}`, { sessionKey: channelId, toolName: toolCall.name });
+            this.emit('progress', { ...progressFor(toolCall), stage: 'tool_start' });
+          },
+          onEnd: (toolCall, { error }) => {
+            this.emit('progress', { ...progressFor(toolCall), stage: 'tool_end', ...(error && { error }) });
           }
-        }
+        });
+
+        // Adapters render some results as rich messages (Cliq cards)
+        this.emit('tool_results', {
+          ...this.sessionFields(channelId),
+          results: actionCalls.map((toolCall, index) => ({
+            toolName: toolCall.name,
+            input: toolCall.input,
+            result: actionResults[index].content,
+            isError: !!actionResults[index].is_error
+          }))
+        });
+
+        // stay_silent next to real tool calls is answered right away
+        const toolResults = toolCalls.map(toolCall => (isStaySilentCall(toolCall)
+          ? { type: 'tool_result', tool_use_id: toolCall.id, content: STAY_SILENT_RESULT }
+          : actionResults[actionCalls.indexOf(toolCall)]));
 
         // Add tool results to history
         history.push({
           role: 'user',
           content: toolResults
         });
+        this.persistSession(channelId);
+
+        // Long tool loops grow the history too
+        await this.compactIfNeeded(channelId, history);
 
         // Get next response from Claude with tool results
-        response = await client.messages.create({
-          model: 'claude-sonnet-4-5-20250929',
-          max_tokens: 8192,
-          system: this.systemPrompt,
+        response = await this.createMessage(channelId, {
+          system: systemPrompt,
           messages: [...history],
-          tools: tools
+          tools,
+          model,
+          userName
         });
 
         toolRound++;
@@ -354,23 +858,95 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
         content: response.content
       });
 
-      // Track cost
-      const inputCost = (response.usage.input_tokens / 1000000) * 3; // $3/MTok
-      const outputCost = (response.usage.output_tokens / 1000000) * 15; // $15/MTok
-      const totalCost = inputCost + outputCost;
-      this.addCost(channelId, totalCost);
+      // Cost is recorded per API call in createMessage - just count the message
+      const stats = this.sessionStats.get(channelId);
+      if (stats) {
+        stats.messageCount += 1;
+      }
+      this.persistSession(channelId);
+
+      log.info(`✅ Response generated: ${assistantText.length} chars (${toolRound} tool rounds)${silence ? ' - silent' : ''}`, {
+        sessionKey: channelId,
+        textLength: assistantText.length,
+        toolRounds: toolRound,
+        silent: !!silence
+      });
 
-      console.log(`✅ Response generated: ${assistantText.length} chars`);
-      console.log(`💰 Cost: $${totalCost.toFixed(4)} (${response.usage.input_tokens} in, ${response.usage.output_tokens} out)`);
+      logReplyDecision({
+        channelId: cliqChannelId,
+        threadId,
+        userName,
+        messageId,
+        mode: isGoogleMeet ? 'meet' : 'chat',
+        silent: !!silence,
+        reason: silence?.reason,
+        textLength: assistantText.length
+      });
 
-      return assistantText;
+      this.emit('turn_end', { ...this.sessionFields(channelId), silent: !!silence, reason: silence?.reason || null });
+      return { text: assistantText, silent: !!silence, reason: silence?.reason || null };
 
     } catch (error) {
-      console.error(`❌ API call failed for channel ${channelId}:`, error);
+      log.error(`❌ API call failed for channel ${channelId}:`, error);
+      this.emit('turn_end', { ...this.sessionFields(channelId), silent: false, reason: null, error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Compact channel history when it grows past the channel's threshold
+   */
+  async compactIfNeeded(channelId, history) {
+    const result = await compactHistory(history, {
+      thresholdTokens: this.getCompactionThreshold(channelId),
+      summarize: (messages) => this.summarizeMessages(channelId, messages)
+    });
+
+    if (!result) return;
+
+    if (result.summaryError) {
+      log.warn(`⚠️  Could not summarize history for channel ${channelId}, dropped the older turns instead: ${result.summaryError.message}`);
+    }
+    log.info(`🗜️  Compacted history for channel ${channelId}: ~${result.before} -> ~${result.after} tokens${result.summarized ? ' (summarized)' : ''}`);
+
+    const stats = this.sessionStats.get(channelId);
+    if (stats) {
+      stats.compactionCount = (stats.compactionCount || 0) + 1;
+      stats.lastCompactedAt = new Date().toISOString();
+    }
+    this.persistSession(channelId);
+  }
+
+  /**
+   * Summarize older turns so they can be dropped from the history
+   */
+  async summarizeMessages(channelId, messages) {
+    const config = getModelConfig(channelIdOf(channelId));
+    const { result: response, model } = await callWithFallback((attemptModel) => this.getClient().messages.create({
+      model: attemptModel,
+      max_tokens: 2048,
+      system: 'You compress chat history for a debugging assistant called BugBuster. Write a dense summary of the conversation below: open bug reports and who reported them, what was investigated (servers, commands, findings), Jira tickets created (keys), decisions made and anything still pending. Keep names, ticket keys, error messages and server names exact. No preamble.',
+      messages: [{ role: 'user', content: renderTranscript(messages) }]
+    }), config);
+
+    this.recordUsage(channelId, 'system:compaction', model, response.usage);
+
+    return response.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  /**
+   * Get the compaction threshold (estimated tokens) for a session - the channel profile's
+   * compactionThresholdTokens, else CONTEXT_COMPACTION_THRESHOLD
+   */
+  getCompactionThreshold(channelId) {
+    const cliqChannelId = channelIdOf(channelId);
+    const profile = getChannelProfile(cliqChannelId, this.channelNames.get(cliqChannelId));
+    return profile.compactionThresholdTokens || DEFAULT_COMPACTION_THRESHOLD;
+  }
+
   /**
    * Reset inactivity timer for a channel
    * Called every time there's activity (new message)
@@ -382,6 +958,14 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
       stats.lastActivityAt = new Date().toISOString();
     }
 
+    this.armInactivityTimer(channelId, this.INACTIVITY_TIMEOUT_MS);
+  }
+
+  /**
+   * (Re)start the cleanup timer for a channel
+   * The timer only triggers a check - expiry itself is decided by lastActivityAt
+   */
+  armInactivityTimer(channelId, delayMs) {
     // Clear existing timer
     if (this.inactivityTimers.has(channelId)) {
       clearTimeout(this.inactivityTimers.get(channelId));
@@ -389,15 +973,18 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
 
     // Set new timer
     const timerId = setTimeout(() => {
-      console.log(`⏰ Session for channel ${channelId} expired due to inactivity (30 minutes)`);
+      this.inactivityTimers.delete(channelId);
+      if (!this.isExpired(this.sessionStats.get(channelId))) return;
+
+      log.info(`⏰ Session for channel ${channelId} expired due to inactivity (30 minutes)`);
       this.closeSession(channelId);
-    }, this.INACTIVITY_TIMEOUT_MS);
+    }, delayMs);
 
     this.inactivityTimers.set(channelId, timerId);
   }
 
   /**
-   * Add cost to session stats
+   * Add cost of one API call to session stats
    * Returns updated total cost for the session
    */
   addCost(channelId, cost) {
@@ -411,7 +998,8 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
 
     const stats = this.sessionStats.get(channelId);
     stats.totalCost += cost;
-    stats.messageCount += 1;
+
+    this.persistSession(channelId);
 
     return stats.totalCost;
   }
@@ -423,6 +1011,9 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
     return this.sessionStats.get(channelId) || {
       totalCost: 0,
       messageCount: 0,
+      cacheReadTokens: 0,
+      cacheWriteTokens: 0,
+      cacheSavings: 0,
       createdAt: null,
       lastActivityAt: null
     };
@@ -434,11 +1025,11 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
   closeSession(channelId) {
     if (this.conversationHistory.has(channelId)) {
       const stats = this.sessionStats.get(channelId);
-      console.log(`🗑️  Clearing conversation history for channel ${channelId}`);
-      if (stats) {
-        console.log(`   - Total cost: $${stats.totalCost.toFixed(4)}`);
-        console.log(`   - Messages: ${stats.messageCount}`);
-      }
+      log.info(`🗑️  Clearing conversation history for channel ${channelId}`, {
+        sessionKey: channelId,
+        totalCost: stats?.totalCost ?? 0,
+        messageCount: stats?.messageCount ?? 0
+      });
 
       // Clear inactivity timer
       if (this.inactivityTimers.has(channelId)) {
@@ -446,11 +1037,121 @@ REMEMBER: You're a participant in a meeting, not leading it. Speak only when nee
         this.inactivityTimers.delete(channelId);
       }
 
+      // Drop the scheduled write; the delete runs after any write already in flight
+      clearTimeout(this.persistTimers.get(channelId));
+      this.persistTimers.delete(channelId);
+
       this.conversationHistory.delete(channelId);
       this.sessionStats.delete(channelId);
+      // Messages still waiting behind a running turn keep their queue and run in the next session
+      if (!this.messageQueues.get(channelId)?.length) this.messageQueues.delete(channelId);
+      this.enqueueStoreWrite(channelId, () => this.store.delete(channelId));
+    }
+  }
+
+  /**
+   * Load admin pauses from disk
+   */
+  loadPausedSessions() {
+    try {
+      if (fs.existsSync(PAUSED_SESSIONS_FILE)) {
+        return new Map(Object.entries(JSON.parse(fs.readFileSync(PAUSED_SESSIONS_FILE, 'utf-8'))));
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not load paused sessions: ${error.message}`);
+    }
+    return new Map();
+  }
+
+  savePausedSessions() {
+    if (this.options.pausedSessions) return;
+
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.writeFileSync(PAUSED_SESSIONS_FILE, JSON.stringify(Object.fromEntries(this.pausedSessions), null, 2), 'utf-8');
+    } catch (error) {
+      log.error(`❌ Failed to save paused sessions:`, error.message);
     }
   }
 
+  /**
+   * Pause a session (or a whole channel, threads included) - incoming messages are ignored until resumed
+   */
+  pauseSession(channelId, reason = null) {
+    const pause = { pausedAt: new Date().toISOString(), reason };
+    this.pausedSessions.set(channelId, pause);
+    this.savePausedSessions();
+    log.info(`⏸️  Paused session ${channelId}${reason ? ` (${reason})` : ''}`);
+    return pause;
+  }
+
+  resumeSession(channelId) {
+    const wasPaused = this.pausedSessions.delete(channelId);
+    if (wasPaused) {
+      this.savePausedSessions();
+      log.info(`▶️  Resumed session ${channelId}`);
+    }
+    return wasPaused;
+  }
+
+  /**
+   * Pause covering a session: its own, or its channel's
+   */
+  getPause(channelId) {
+    return this.pausedSessions.get(channelId) || this.pausedSessions.get(channelIdOf(channelId)) || null;
+  }
+
+  /**
+   * Add an operator note to a session's history
+   * The agent sees it as part of the conversation on its next turn. Returns false while the
+   * session is mid-turn (a note can't go between a tool call and its result).
+   */
+  injectNote(channelId, note) {
+    if (this.processingLocks.has(channelId)) {
+      return false;
+    }
+
+    const history = this.getOrInitHistory(channelId);
+    history.push({
+      role: 'user',
+      content: this.withPendingSilence(history, `[System note from the BugBuster admins - not a chat message]\n${note}`)
+    });
+    this.persistSession(channelId);
+    log.info(`📌 Injected system note into session ${channelId}`);
+    return true;
+  }
+
+  /**
+   * Summary of every active session (admin API)
+   */
+  listSessions() {
+    return this.getActiveChannels().map(sessionKey => {
+      const { channelId, threadId } = parseSessionKey(sessionKey);
+      const stats = this.getSessionStats(sessionKey);
+      return {
+        sessionKey,
+        channelId,
+        threadId,
+        channelName: this.channelNames.get(sessionKey) || this.channelNames.get(channelId) || null,
+        historyLength: this.conversationHistory.get(sessionKey).length,
+        processing: this.processingLocks.has(sessionKey),
+        queued: (this.messageQueues.get(sessionKey) || []).length,
+        paused: !!this.getPause(sessionKey),
+        totalCost: stats.totalCost,
+        messageCount: stats.messageCount,
+        createdAt: stats.createdAt,
+        lastActivityAt: stats.lastActivityAt
+      };
+    });
+  }
+
+  /**
+   * Conversation history of a session, or null if there is none
+   */
+  getHistory(channelId) {
+    return this.conversationHistory.get(channelId) || null;
+  }
+
   /**
    * Get active conversation count
    */
@@ -0,0 +1,120 @@
+/**
+ * Cliq Cards
+ * Builds Cliq message cards (card + slides + buttons) for results that deserve more than a chat line
+ *
+ * Every builder returns { text, card?, slides?, buttons? } - the shape sendViaWebhook posts and the
+ * Deluge postToChannel function passes on to zoho.cliq.postToChannelAsBot(). `text` is always set,
+ * so clients that can't render cards still show something useful.
+ *
+ * Buttons with a callback invoke the Cliq function CLIQ_BUTTON_FUNCTION (default "bugbusteraction"),
+ * which forwards the button's `action` to POST /webhook/cliq/callback.
+ */
+
+const BUTTON_FUNCTION = process.env.CLIQ_BUTTON_FUNCTION || 'bugbusteraction';
+const MAX_CELL_CHARS = 60;
+
+const truncate = (value, max = MAX_CELL_CHARS) => (value.length > max ? `${value.substring(0, max - 1)}…` : value);
+
+/**
+ * Button that calls back into BugBuster with `action` (e.g. "approve a1b2")
+ * @param {string} style - '+' (positive) or '-' (negative)
+ */
+function callbackButton(label, action, style = '+') {
+  return {
+    label,
+    type: style,
+    action: { type: 'invoke.function', data: { name: BUTTON_FUNCTION } },
+    arguments: { action }
+  };
+}
+
+function linkButton(label, url) {
+  return { label, type: '+', action: { type: 'open.url', data: { web: url } } };
+}
+
+/**
+ * Approval prompt with Approve / Deny buttons (the text keeps the "approve <id>" fallback)
+ */
+export function approvalCard(request, text) {
+  return {
+    text,
+    card: { title: `⚠️ Approval needed: ${request.toolName}`, theme: 'modern-inline' },
+    buttons: [
+      callbackButton('Approve', `approve ${request.id}`, '+'),
+      callbackButton('Deny', `deny ${request.id}`, '-')
+    ]
+  };
+}
+
+/**
+ * Card for a ticket create_jira_ticket just filed (parsed from the tool's result text)
+ */
+function jiraTicketCard({ input, result }) {
+  const field = (name) => result.match(new RegExp(`^${name}: (.+)$`, 'm'))?.[1].trim() || null;
+  const key = field('Ticket');
+  if (!key) return null;
+
+  const url = field('URL');
+  const priority = field('Priority') || input.priority || 'Medium';
+  const title = field('Title') || input.title;
+
+  return {
+    text: `🎫 ${key} created: ${title}${url ? `\n${url}` : ''}`,
+    card: { title: `🎫 ${key}: ${truncate(title, 100)}`, theme: 'modern-inline' },
+    slides: [{
+      type: 'label',
+      title: 'Jira ticket',
+      data: [
+        { Ticket: key },
+        { Priority: priority },
+        ...(input.labels?.length ? [{ Labels: input.labels.join(', ') }] : [])
+      ]
+    }],
+    ...(url && { buttons: [linkButton('Open in Jira', url)] })
+  };
+}
+
+/**
+ * One table for every server_exec call of a tool round: server, command, outcome
+ */
+function serverStatusCard(calls) {
+  const rows = calls.map(({ input, result, isError }) => {
+    const firstLine = String(result).replace(/^❌\s*/, '').split('\n').find(line => line.trim()) || '';
+    const outputLines = String(result).split('\n').length - 2;
+    return {
+      Server: input.server,
+      Command: truncate(input.command),
+      Result: isError ? `❌ ${truncate(firstLine)}` : `✅ ${outputLines > 0 ? `${outputLines} lines` : 'ok'}`
+    };
+  });
+  const failed = calls.filter(call => call.isError).length;
+  const servers = [...new Set(calls.map(call => call.input.server))];
+
+  return {
+    text: `🖥️ ran ${calls.length} command${calls.length === 1 ? '' : 's'} on ${servers.join(', ')}${failed > 0 ? ` (${failed} failed)` : ''}`,
+    card: { title: '🖥️ Server checks', theme: 'modern-inline' },
+    slides: [{
+      type: 'table',
+      title: `${calls.length - failed}/${calls.length} succeeded`,
+      data: { headers: ['Server', 'Command', 'Result'], rows }
+    }]
+  };
+}
+
+/**
+ * Cards for one round of tool results (tools without a card are skipped)
+ * @param {Array} results - [{ toolName, input, result, isError }]
+ */
+export function cardsForToolResults(results) {
+  const cards = results
+    .filter(({ toolName, isError }) => toolName === 'create_jira_ticket' && !isError)
+    .map(jiraTicketCard)
+    .filter(Boolean);
+
+  const serverCalls = results.filter(({ toolName }) => toolName === 'server_exec');
+  if (serverCalls.length > 0) {
+    cards.push(serverStatusCard(serverCalls));
+  }
+
+  return cards;
+}
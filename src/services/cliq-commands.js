@@ -0,0 +1,178 @@
+/**
+ * Cliq Commands
+ * `/bugbuster <command>` - operate BugBuster from a Cliq channel instead of curling the admin API
+ *
+ * - status       sessions in this channel (history, cost, queue, pause) and Meet state
+ * - cost         spend for this channel and for you, today and this month
+ * - memory       what BugBuster has saved with update_memory
+ * - servers      servers this channel lets BugBuster SSH into
+ * - reset        clear this channel's conversation, threads included            (admins only)
+ * - leave-meet   remove BugBuster from the Google Meet this channel started     (admins only)
+ *
+ * Admins are CLIQ_COMMAND_ADMINS (Cliq user names); if unset, nobody may run admin commands.
+ */
+
+import fs from 'fs';
+import { agentManager } from './bugbuster-manager.js';
+import { meetBotManager } from './meet-bot-manager.js';
+import { costLedger } from './cost-ledger.js';
+import { channelIdOf } from './session-key.js';
+import { getChannelProfile } from '../config/channel-profiles.js';
+import { listServerNames } from '../tools/server-exec/index.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('commands');
+
+const COMMAND_ADMINS = (process.env.CLIQ_COMMAND_ADMINS || '')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+
+// Cliq messages get cut off around 5k characters
+const MAX_MEMORY_CHARS = 3500;
+
+const formatUsd = (value) => `$${value.toFixed(value < 1 ? 4 : 2)}`;
+
+/**
+ * May this user run destructive commands?
+ */
+export function isCommandAdmin(userName) {
+  return COMMAND_ADMINS.includes(String(userName).toLowerCase());
+}
+
+function status({ channelId }) {
+  const sessions = agentManager.listSessions().filter(session => session.channelId === channelId);
+  const pause = agentManager.getPause(channelId);
+  const bot = meetBotManager.isChannelInMeeting(channelId) ? meetBotManager.getBotByChannelId(channelId) : null;
+
+  const lines = ['*BugBuster status*'];
+
+  if (sessions.length === 0) {
+    lines.push('no conversation going on here rn');
+  }
+  for (const session of sessions) {
+    const where = session.threadId ? `thread ${session.threadId}` : 'channel';
+    const state = session.processing ? `working${session.queued > 0 ? `, ${session.queued} queued` : ''}` : 'idle';
+    lines.push(`- ${where}: ${session.historyLength} messages in history, ${formatUsd(session.totalCost)} spent, ${state}${session.paused ? ', paused' : ''}`);
+  }
+
+  if (pause) {
+    lines.push(`⏸️ paused since ${pause.pausedAt}${pause.reason ? ` - ${pause.reason}` : ''}`);
+  }
+  if (bot) {
+    lines.push(`🎥 in a Google Meet (${bot.status || 'joining'}) since ${bot.createdAt}`);
+  }
+
+  const budget = costLedger.checkBudget({ channelId });
+  if (budget.exceeded.length > 0) {
+    lines.push(budget.allowed ? '💸 over budget - using the cheaper model' : '💸 over budget - not answering until it resets');
+  }
+
+  return lines.join('\n');
+}
+
+function cost({ channelId, userName }) {
+  const channelBudget = costLedger.budgets.channels?.[channelId];
+  const userBudget = costLedger.budgets.users?.[userName];
+  const withLimit = (spent, limit) => (limit == null ? formatUsd(spent) : `${formatUsd(spent)} of ${formatUsd(limit)}`);
+
+  return [
+    '*AI spend*',
+    `- this channel: today ${withLimit(costLedger.getSpend('channel', channelId, 'daily'), channelBudget?.daily)}, ` +
+      `this month ${withLimit(costLedger.getSpend('channel', channelId, 'monthly'), channelBudget?.monthly)}`,
+    `- you (${userName}): today ${withLimit(costLedger.getSpend('user', userName, 'daily'), userBudget?.daily)}, ` +
+      `this month ${withLimit(costLedger.getSpend('user', userName, 'monthly'), userBudget?.monthly)}`,
+    `- current conversation: ${formatUsd(agentManager.getSessionStats(channelId).totalCost)}`
+  ].join('\n');
+}
+
+function memory() {
+  const { memoryPath } = agentManager.getPromptPaths();
+  if (!fs.existsSync(memoryPath)) {
+    return 'my memory is empty - nothing saved yet';
+  }
+
+  const content = fs.readFileSync(memoryPath, 'utf-8').trim();
+  if (content.length <= MAX_MEMORY_CHARS) {
+    return content;
+  }
+  return `${content.substring(0, MAX_MEMORY_CHARS)}\n…(${content.length - MAX_MEMORY_CHARS} more chars)`;
+}
+
+function servers({ channelId, channelName }) {
+  const profile = getChannelProfile(channelId, channelName);
+  const names = listServerNames(profile);
+
+  if (names.length === 0) {
+    return profile.servers ? 'no servers are enabled for this channel' : 'no servers configured';
+  }
+  return `*Servers i can check here*\n${names.map(name => `- ${name}`).join('\n')}`;
+}
+
+function reset({ channelId }) {
+  const sessionKeys = agentManager.getActiveChannels().filter(sessionKey => channelIdOf(sessionKey) === channelId);
+
+  if (sessionKeys.length === 0) {
+    return 'nothing to reset, no conversation going on here';
+  }
+
+  sessionKeys.forEach(sessionKey => agentManager.closeSession(sessionKey));
+  return `🔄 done - forgot this channel's conversation (${sessionKeys.length === 1 ? '1 session' : `${sessionKeys.length} sessions`})`;
+}
+
+async function leaveMeet({ channelId }) {
+  const bot = meetBotManager.getBotByChannelId(channelId);
+  if (!bot) {
+    return "i'm not in a meeting for this channel";
+  }
+
+  await meetBotManager.leaveMeeting(bot.botId);
+  return '👋 left the meeting';
+}
+
+const COMMANDS = {
+  status: { run: status, description: 'sessions, queue, pause and Meet state for this channel' },
+  cost: { run: cost, description: 'AI spend for this channel and for you' },
+  memory: { run: memory, description: 'what i have saved to memory' },
+  servers: { run: servers, description: 'servers i can check from this channel' },
+  reset: { run: reset, description: "clear this channel's conversation", destructive: true },
+  'leave-meet': { run: leaveMeet, description: 'leave the Google Meet', destructive: true }
+};
+
+function help() {
+  return [
+    '*BugBuster commands*',
+    ...Object.entries(COMMANDS).map(([name, { description, destructive }]) =>
+      `- \`/bugbuster ${name}\` - ${description}${destructive ? ' (admins only)' : ''}`)
+  ].join('\n');
+}
+
+/**
+ * Run a command from the Cliq command handler
+ * @param {Object} request - { args, userName, channelId, channelName }
+ * @returns {Promise<string>} text to show in Cliq
+ */
+export async function runCliqCommand({ args = '', userName, channelId, channelName }) {
+  const name = String(args).trim().split(/\s+/)[0].toLowerCase();
+  const command = COMMANDS[name];
+
+  if (!command) {
+    return name && name !== 'help' ? `dunno \`${name}\` 🤷\n\n${help()}` : help();
+  }
+
+  if (command.destructive && !isCommandAdmin(userName)) {
+    log.warn(`🚫 ${userName} is not allowed to run /bugbuster ${name}`, { channelId, userName, command: name });
+    return COMMAND_ADMINS.length === 0
+      ? `🚫 sorry ${userName}, \`${name}\` is off until CLIQ_COMMAND_ADMINS is set`
+      : `🚫 sorry ${userName}, only admins can \`${name}\``;
+  }
+
+  log.info(`⌨️  /bugbuster ${name} by ${userName} in ${channelName || channelId}`, { channelId, userName, command: name });
+
+  try {
+    return await command.run({ channelId, channelName, userName });
+  } catch (error) {
+    log.error(`❌ /bugbuster ${name} failed:`, error);
+    return `ugh, \`${name}\` failed: ${error.message}`;
+  }
+}
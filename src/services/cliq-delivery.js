@@ -0,0 +1,268 @@
+/**
+ * Cliq Delivery
+ * Outbound queue for the Cliq incoming webhook: retries, per-channel ordering and a dead-letter store
+ *
+ * - Every channel has its own FIFO queue, delivered one post at a time - a reply never overtakes
+ *   the one before it, even while that one is being retried
+ * - Network errors, 408, 429 and 5xx are retried with exponential backoff (Retry-After honored)
+ *   up to CLIQ_DELIVERY_MAX_ATTEMPTS (default 5); other failures are not retried
+ * - Messages that can't be delivered go to data/cliq-dead-letters.json (also on shutdown, for
+ *   anything still queued - a post already in flight is waited for, not parked) and can be
+ *   redelivered from the admin API
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from './jsonl-log.js';
+import { recordCliqWebhook, recordCliqDeadLetter } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('delivery');
+
+const DEAD_LETTERS_FILE = path.join(DATA_DIR, 'cliq-dead-letters.json');
+const RETRYABLE_STATUSES = new Set([408, 429, 500, 502, 503, 504]);
+const MAX_DELAY_MS = 60000;
+// How long shutdown waits for posts already in flight
+const SHUTDOWN_WAIT_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class CliqDelivery {
+  constructor() {
+    this.maxAttempts = parseInt(process.env.CLIQ_DELIVERY_MAX_ATTEMPTS || '5', 10);
+    this.baseDelayMs = parseInt(process.env.CLIQ_DELIVERY_BASE_DELAY_MS || '1000', 10);
+    // Map: channel unique name -> jobs waiting, the first one is being delivered
+    this.queues = new Map();
+    this.deadLetters = this.loadDeadLetters();
+    // Set on shutdown - nothing new is posted, what's left is parked by deadLetterPending
+    this.stopped = false;
+  }
+
+  loadDeadLetters() {
+    try {
+      if (fs.existsSync(DEAD_LETTERS_FILE)) {
+        return JSON.parse(fs.readFileSync(DEAD_LETTERS_FILE, 'utf-8'));
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not load Cliq dead letters: ${error.message}`);
+    }
+    return [];
+  }
+
+  saveDeadLetters() {
+    try {
+      fs.mkdirSync(DATA_DIR, { recursive: true });
+      fs.writeFileSync(DEAD_LETTERS_FILE, JSON.stringify(this.deadLetters, null, 2), 'utf-8');
+    } catch (error) {
+      log.error(`❌ Failed to save Cliq dead letters:`, error.message);
+    }
+  }
+
+  /**
+   * One POST to the incoming webhook
+   * Errors carry status (HTTP failures) and retryAfterMs (from Retry-After)
+   */
+  async post(payload) {
+    const response = await fetch(process.env.CLIQ_BOT_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload)
+    }).catch(error => {
+      recordCliqWebhook('network_error');
+      throw error;
+    });
+
+    recordCliqWebhook(response.ok ? 'success' : `http_${response.status}`);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      const error = new Error(`Webhook failed: ${response.status}`);
+      error.status = response.status;
+      error.responseText = errorText;
+      const retryAfter = parseFloat(response.headers.get('retry-after'));
+      if (!Number.isNaN(retryAfter)) error.retryAfterMs = retryAfter * 1000;
+      throw error;
+    }
+
+    return await response.json().catch(() => ({}));
+  }
+
+  isRetryable(error) {
+    return error.status === undefined || RETRYABLE_STATUSES.has(error.status);
+  }
+
+  getRetryDelay(error, attempt) {
+    if (error.retryAfterMs !== undefined) {
+      return Math.min(error.retryAfterMs, MAX_DELAY_MS);
+    }
+    return Math.min(this.baseDelayMs * Math.pow(2, attempt - 1) + Math.random() * this.baseDelayMs, MAX_DELAY_MS);
+  }
+
+  /**
+   * Queue posts for a channel; they go out in order after everything queued before them
+   * @param {string} channelKey - ordering scope (the channel's unique name)
+   * @param {Array} payloads - webhook payloads, e.g. the chunks of one long reply
+   * @returns {Promise<Object>} webhook response of the last payload; rejects if the message was dead-lettered
+   */
+  send(channelKey, payloads, { id = crypto.randomUUID(), createdAt = new Date().toISOString() } = {}) {
+    return new Promise((resolve, reject) => {
+      const job = { id, channelKey, payloads, delivered: 0, createdAt, resolve, reject };
+
+      if (!this.queues.has(channelKey)) {
+        this.queues.set(channelKey, []);
+      }
+      const queue = this.queues.get(channelKey);
+      queue.push(job);
+
+      if (queue.length === 1) {
+        this.drain(channelKey);
+      } else {
+        log.debug(`📬 Queued message for ${channelKey} behind ${queue.length - 1} others`);
+      }
+    });
+  }
+
+  async drain(channelKey) {
+    const queue = this.queues.get(channelKey);
+
+    while (queue.length > 0) {
+      await this.deliver(queue[0]);
+      if (this.stopped) return;
+      queue.shift();
+    }
+
+    this.queues.delete(channelKey);
+  }
+
+  async deliver(job) {
+    let response = null;
+
+    while (job.delivered < job.payloads.length) {
+      for (let attempt = 1; ; attempt++) {
+        if (this.stopped) return;
+
+        try {
+          job.posting = this.post(job.payloads[job.delivered]);
+          response = await job.posting;
+          break;
+        } catch (error) {
+          if (this.stopped) return;
+          if (!this.isRetryable(error) || attempt >= this.maxAttempts) {
+            this.deadLetter(job, error, attempt);
+            job.reject(error);
+            return;
+          }
+
+          const delay = this.getRetryDelay(error, attempt);
+          log.warn(`🔁 Cliq webhook failed (${error.status || error.message}), retry ${attempt}/${this.maxAttempts - 1} in ${Math.round(delay)}ms`, {
+            channel: job.channelKey,
+            messageId: job.id
+          });
+          await sleep(delay);
+        } finally {
+          job.posting = null;
+        }
+      }
+      job.delivered++;
+    }
+
+    job.resolve(response);
+  }
+
+  /**
+   * Keep what's left of a message (chunks already posted are dropped) for redelivery
+   */
+  deadLetter(job, error, attempts) {
+    const entry = {
+      id: job.id,
+      channelKey: job.channelKey,
+      payloads: job.payloads.slice(job.delivered),
+      error: error.responseText ? `${error.message} - ${error.responseText.substring(0, 500)}` : error.message,
+      attempts,
+      createdAt: job.createdAt,
+      failedAt: new Date().toISOString()
+    };
+
+    this.deadLetters = [...this.deadLetters.filter(existing => existing.id !== job.id), entry];
+    this.saveDeadLetters();
+    recordCliqDeadLetter();
+    log.error(`☠️  Gave up on Cliq message for ${job.channelKey} after ${attempts} attempt(s): ${entry.error}`, {
+      channel: job.channelKey,
+      messageId: job.id,
+      chunks: entry.payloads.length
+    });
+  }
+
+  getDeadLetters() {
+    return this.deadLetters;
+  }
+
+  /**
+   * Put a dead letter back in its channel's queue (it keeps its id; it is dead-lettered again if it fails again)
+   * @returns {Promise|null} delivery promise, null if there is no such dead letter
+   */
+  redeliver(id) {
+    const entry = this.deadLetters.find(existing => existing.id === id);
+    if (!entry) return null;
+
+    this.deadLetters = this.deadLetters.filter(existing => existing.id !== id);
+    this.saveDeadLetters();
+    log.info(`📮 Redelivering Cliq message ${id} to ${entry.channelKey}`);
+    return this.send(entry.channelKey, entry.payloads, { id, createdAt: entry.createdAt });
+  }
+
+  discard(id) {
+    const before = this.deadLetters.length;
+    this.deadLetters = this.deadLetters.filter(existing => existing.id !== id);
+    if (this.deadLetters.length === before) return false;
+
+    this.saveDeadLetters();
+    return true;
+  }
+
+  /**
+   * Posts still waiting (including the ones being retried)
+   */
+  getPendingCount() {
+    let count = 0;
+    for (const queue of this.queues.values()) {
+      count += queue.reduce((sum, job) => sum + job.payloads.length - job.delivered, 0);
+    }
+    return count;
+  }
+
+  /**
+   * Shutting down: park everything still queued in the dead-letter store
+   * Posts in flight are waited for (up to SHUTDOWN_WAIT_MS) - one that succeeds must not be redelivered,
+   * one that is still going after that is left out rather than risk posting it twice
+   */
+  async deadLetterPending(reason = 'shutdown') {
+    this.stopped = true;
+
+    const jobs = Array.from(this.queues.values()).flat();
+    const inFlight = jobs.map(job => job.posting).filter(Boolean);
+    if (inFlight.length > 0) {
+      let timer;
+      await Promise.race([
+        Promise.allSettled(inFlight),
+        new Promise(resolve => { timer = setTimeout(resolve, SHUTDOWN_WAIT_MS); })
+      ]);
+      clearTimeout(timer);
+    }
+
+    for (const job of jobs) {
+      if (job.posting) {
+        log.warn(`⚠️  Cliq post for ${job.channelKey} still in flight at ${reason}, not parking it`, { messageId: job.id });
+        job.delivered++;
+      }
+      if (job.delivered < job.payloads.length) {
+        this.deadLetter(job, new Error(`Not delivered before ${reason}`), 0);
+      }
+    }
+    this.queues.clear();
+  }
+}
+
+// Singleton instance
+export const cliqDelivery = new CliqDelivery();
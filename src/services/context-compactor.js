@@ -0,0 +1,252 @@
+/**
+ * Context Compactor
+ * Keeps long-running channel histories inside the context window
+ *
+ * Two passes, cheapest first:
+ * 1. Stub old base64 images / PDFs and trim large old tool outputs
+ * 2. Summarize everything before a recent cut point into a single note
+ *    (if the summary call fails, those turns are dropped with a note instead)
+ *    If the history is still over the threshold afterwards (the recent turns alone are too big),
+ *    later passes don't call the summarizer again: older turns are dropped, the summary is kept
+ *
+ * The cut point is always a fresh user turn (not just tool_results), so every
+ * tool_use that survives still has its tool_result right after it. A fresh turn
+ * may lead with the result of a stay_silent call from the turn before - that
+ * result is dropped along with the call when the older part is summarized.
+ */
+
+// Rough token estimate: ~4 chars per token, images billed at ~1600 tokens,
+// PDFs (text + a page image per page) at ~30 tokens per KB, at least an image's worth
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 1600;
+const DOCUMENT_TOKENS_PER_KB = 30;
+
+export const DEFAULT_COMPACTION_THRESHOLD = parseInt(process.env.CONTEXT_COMPACTION_THRESHOLD || '100000', 10);
+const KEEP_RECENT_MESSAGES = parseInt(process.env.CONTEXT_KEEP_RECENT_MESSAGES || '12', 10);
+const MAX_OLD_TOOL_OUTPUT_CHARS = 2000;
+
+const SUMMARY_HEADER = '[Summary of the earlier conversation in this channel]\n\n';
+const DROPPED_NOTE = '[Earlier conversation in this channel was removed to save context - it could not be summarized]';
+
+// Histories still over the threshold after a summary - summarizing them again every turn would only cost a call
+const overAfterSummary = new WeakSet();
+
+/**
+ * Estimate tokens for a single content block
+ */
+function estimateBlockTokens(block) {
+  if (typeof block === 'string') {
+    return Math.ceil(block.length / CHARS_PER_TOKEN);
+  }
+
+  switch (block.type) {
+    case 'text':
+      return Math.ceil(block.text.length / CHARS_PER_TOKEN);
+    case 'image':
+      return IMAGE_TOKENS;
+    case 'document': {
+      const kb = (block.source?.data || '').length * 3 / 4 / 1024;
+      return Math.max(IMAGE_TOKENS, Math.ceil(kb * DOCUMENT_TOKENS_PER_KB));
+    }
+    case 'tool_use':
+      return Math.ceil(JSON.stringify(block.input || {}).length / CHARS_PER_TOKEN) + 20;
+    case 'tool_result':
+      return estimateContentTokens(block.content || '');
+    default:
+      return Math.ceil(JSON.stringify(block).length / CHARS_PER_TOKEN);
+  }
+}
+
+function estimateContentTokens(content) {
+  if (typeof content === 'string') {
+    return estimateBlockTokens(content);
+  }
+  return content.reduce((sum, block) => sum + estimateBlockTokens(block), 0);
+}
+
+/**
+ * Estimate tokens for a whole history
+ */
+export function estimateTokens(messages) {
+  return messages.reduce((sum, message) => sum + estimateContentTokens(message.content), 0);
+}
+
+/**
+ * Is this a user turn typed by a person (as opposed to tool results)?
+ */
+function isFreshUserTurn(message) {
+  if (message.role !== 'user') return false;
+  if (typeof message.content === 'string') return true;
+  return message.content.some(block => block.type !== 'tool_result');
+}
+
+/**
+ * Find the index where the "recent" part of the history starts
+ * Returns -1 if there is nothing safe to compact
+ */
+export function findCutIndex(history, keepRecent = KEEP_RECENT_MESSAGES) {
+  // Never past the last message (histories shorter than keepRecent, e.g. one huge message)
+  for (let i = Math.min(Math.max(history.length - keepRecent, 1), history.length - 1); i > 0; i--) {
+    if (isFreshUserTurn(history[i])) {
+      return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Pass 1: replace images / PDFs and trim tool outputs older than the cut point
+ * Returns true if anything changed
+ */
+function stubOldContent(history, cutIndex) {
+  let changed = false;
+
+  for (let i = 0; i < cutIndex; i++) {
+    const message = history[i];
+    if (!Array.isArray(message.content)) continue;
+
+    message.content = message.content.map(block => {
+      if (block.type === 'image') {
+        changed = true;
+        return { type: 'text', text: '[image from earlier in the conversation - removed to save context]' };
+      }
+
+      if (block.type === 'document') {
+        changed = true;
+        return { type: 'text', text: `[PDF${block.title ? ` ${block.title}` : ''} from earlier in the conversation - removed to save context]` };
+      }
+
+      if (block.type === 'tool_result' && typeof block.content === 'string' &&
+          block.content.length > MAX_OLD_TOOL_OUTPUT_CHARS) {
+        changed = true;
+        return {
+          ...block,
+          content: `${block.content.substring(0, MAX_OLD_TOOL_OUTPUT_CHARS)}\n...[output truncated to save context]`
+        };
+      }
+
+      return block;
+    });
+  }
+
+  return changed;
+}
+
+/**
+ * Render messages as plain text for the summarizer
+ */
+export function renderTranscript(messages) {
+  const lines = [];
+
+  for (const message of messages) {
+    const blocks = typeof message.content === 'string'
+      ? [{ type: 'text', text: message.content }]
+      : message.content;
+
+    for (const block of blocks) {
+      switch (block.type) {
+        case 'text':
+          lines.push(`${message.role}: ${block.text}`);
+          break;
+        case 'image':
+          lines.push(`${message.role}: [image]`);
+          break;
+        case 'document':
+          lines.push(`${message.role}: [PDF${block.title ? ` ${block.title}` : ''}]`);
+          break;
+        case 'tool_use':
+          lines.push(`assistant called ${block.name}: ${JSON.stringify(block.input)}`);
+          break;
+        case 'tool_result': {
+          const text = typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+          lines.push(`tool result${block.is_error ? ' (error)' : ''}: ${text.substring(0, MAX_OLD_TOOL_OUTPUT_CHARS)}`);
+          break;
+        }
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Note left by an earlier summary pass (it leads the first message), null if there is none
+ */
+function previousNote(history) {
+  const first = history[0]?.content;
+  const text = Array.isArray(first) ? first[0]?.text : null;
+  return text && (text.startsWith(SUMMARY_HEADER) || text === DROPPED_NOTE) ? text : null;
+}
+
+/**
+ * Compact history in place if it is over the threshold
+ *
+ * @param {Array} history - Channel history (mutated in place)
+ * @param {Object} options
+ * @param {number} options.thresholdTokens - Compact when estimate exceeds this
+ * @param {Function} options.summarize - async (messages) => summary text
+ * @returns {Object|null} { before, after, summarized, summaryError? } or null if nothing was done
+ *                        (summarized is false when the summarizer was skipped or failed)
+ */
+export async function compactHistory(history, { thresholdTokens = DEFAULT_COMPACTION_THRESHOLD, summarize }) {
+  const before = estimateTokens(history);
+  if (before <= thresholdTokens) {
+    return null;
+  }
+
+  const cutIndex = findCutIndex(history, KEEP_RECENT_MESSAGES);
+  if (cutIndex === -1) {
+    return null;
+  }
+
+  // Pass 1: cheap stubbing
+  stubOldContent(history, cutIndex);
+  let after = estimateTokens(history);
+  if (after <= thresholdTokens) {
+    return { before, after, summarized: false };
+  }
+
+  // Pass 2: summarize everything before the cut point
+  // A failed summary must not fail the user's message - the older turns go without one
+  let summary = null;
+  let summaryError = null;
+  let note;
+  if (overAfterSummary.has(history)) {
+    note = previousNote(history) || DROPPED_NOTE;
+  } else {
+    try {
+      summary = await summarize(history.slice(0, cutIndex));
+    } catch (error) {
+      summaryError = error;
+    }
+    note = summary ? `${SUMMARY_HEADER}${summary}` : DROPPED_NOTE;
+  }
+
+  // Fold the summary into the first kept user turn so roles keep alternating
+  // (its tool_results answer calls that were just summarized away)
+  const firstKept = history[cutIndex];
+  const keptContent = typeof firstKept.content === 'string'
+    ? [{ type: 'text', text: firstKept.content }]
+    : firstKept.content.filter(block => block.type !== 'tool_result');
+
+  const compacted = [
+    {
+      role: 'user',
+      content: [
+        { type: 'text', text: note },
+        ...keptContent
+      ]
+    },
+    ...history.slice(cutIndex + 1)
+  ];
+
+  history.splice(0, history.length, ...compacted);
+  after = estimateTokens(history);
+  if (after > thresholdTokens) {
+    overAfterSummary.add(history);
+  } else {
+    overAfterSummary.delete(history);
+  }
+
+  return { before, after, summarized: !!summary, ...(summaryError && { summaryError }) };
+}
@@ -0,0 +1,321 @@
+/**
+ * Cost Ledger
+ * Records usage and cost of every Anthropic API call, attributed to channel and Cliq user,
+ * and enforces daily/monthly budget caps
+ *
+ * Ledger:  data/cost-ledger.jsonl (append-only, one line per API call)
+ * Budgets: data/budgets.json (editable via PUT /admin/budgets)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR, appendJsonl, readJsonl } from './jsonl-log.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('cost');
+
+const LEDGER_FILE = path.join(DATA_DIR, 'cost-ledger.jsonl');
+const BUDGETS_FILE = path.join(DATA_DIR, 'budgets.json');
+
+// USD per million tokens, matched by model id prefix (longest match wins)
+// Override or extend with MODEL_PRICING='{"claude-x": {"input": 1, "output": 5}}'
+const DEFAULT_PRICING = {
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-opus-4': { input: 15, output: 75 }
+};
+
+// Prompt caching multipliers (relative to input price)
+const CACHE_WRITE_MULTIPLIER = 1.25;
+const CACHE_READ_MULTIPLIER = 0.1;
+
+function loadPricing() {
+  if (!process.env.MODEL_PRICING) {
+    return DEFAULT_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    log.warn(`⚠️  Invalid MODEL_PRICING, using defaults: ${error.message}`);
+    return DEFAULT_PRICING;
+  }
+}
+
+function dayKey(date) {
+  return date.toISOString().split('T')[0];
+}
+
+function emptyTotals() {
+  return { total: 0, calls: 0, byChannel: {}, byUser: {}, byModel: {} };
+}
+
+function addTo(map, key, cost) {
+  map[key] = (map[key] || 0) + cost;
+}
+
+class CostLedger {
+  constructor() {
+    this.pricing = loadPricing();
+    // Map: 'YYYY-MM-DD' -> { total, calls, byChannel, byUser, byModel }
+    this.dailyTotals = new Map();
+    this.budgets = this.loadBudgets();
+
+    for (const entry of readJsonl(LEDGER_FILE)) {
+      this.aggregate(entry);
+    }
+  }
+
+  /**
+   * Budgets file, falling back to env defaults
+   * Shape: { global: { daily, monthly }, channels: { [id]: {...} }, users: { [name]: {...} },
+   *          action: 'refuse' | 'downgrade', downgradeModel }
+   */
+  loadBudgets() {
+    const defaults = {
+      global: {
+        daily: process.env.BUDGET_DAILY_USD ? parseFloat(process.env.BUDGET_DAILY_USD) : null,
+        monthly: process.env.BUDGET_MONTHLY_USD ? parseFloat(process.env.BUDGET_MONTHLY_USD) : null
+      },
+      channels: {},
+      users: {},
+      action: process.env.BUDGET_ACTION || 'refuse',
+      downgradeModel: process.env.BUDGET_DOWNGRADE_MODEL || 'claude-haiku-4-5'
+    };
+
+    try {
+      if (fs.existsSync(BUDGETS_FILE)) {
+        return { ...defaults, ...JSON.parse(fs.readFileSync(BUDGETS_FILE, 'utf-8')) };
+      }
+    } catch (error) {
+      log.warn(`⚠️  Could not load budgets: ${error.message}`);
+    }
+
+    return defaults;
+  }
+
+  /**
+   * Replace budgets and persist them
+   */
+  setBudgets(budgets) {
+    this.budgets = { ...this.loadBudgets(), ...budgets };
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.writeFileSync(BUDGETS_FILE, JSON.stringify(this.budgets, null, 2), 'utf-8');
+    return this.budgets;
+  }
+
+  /**
+   * Price per million tokens for a model id
+   */
+  getPrice(model) {
+    const match = Object.keys(this.pricing)
+      .filter(prefix => model.startsWith(prefix))
+      .sort((a, b) => b.length - a.length)[0];
+
+    if (!match) {
+      log.warn(`⚠️  No pricing for model ${model}, assuming Sonnet prices`);
+      return this.pricing['claude-sonnet-4'];
+    }
+    return this.pricing[match];
+  }
+
+  /**
+   * Compute USD cost for a response.usage object
+   */
+  calculateCost(model, usage) {
+    const price = this.getPrice(model);
+    const perToken = (pricePerMTok) => pricePerMTok / 1000000;
+
+    return (usage.input_tokens || 0) * perToken(price.input) +
+      (usage.output_tokens || 0) * perToken(price.output) +
+      (usage.cache_creation_input_tokens || 0) * perToken(price.input * CACHE_WRITE_MULTIPLIER) +
+      (usage.cache_read_input_tokens || 0) * perToken(price.input * CACHE_READ_MULTIPLIER);
+  }
+
+  /**
+   * What prompt caching saved on a call compared to sending everything uncached
+   * (reads are 90% cheaper, writes cost 25% extra)
+   */
+  calculateCacheSavings(model, usage) {
+    const inputPerToken = this.getPrice(model).input / 1000000;
+    const readSavings = (usage.cache_read_input_tokens || 0) * inputPerToken * (1 - CACHE_READ_MULTIPLIER);
+    const writeOverhead = (usage.cache_creation_input_tokens || 0) * inputPerToken * (CACHE_WRITE_MULTIPLIER - 1);
+    return readSavings - writeOverhead;
+  }
+
+  /**
+   * Record one API call
+   * Returns the ledger entry (including cost)
+   */
+  record({ channelId, userName, model, usage }) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      channelId: channelId || 'unknown',
+      userName: userName || 'unknown',
+      model,
+      inputTokens: usage.input_tokens || 0,
+      outputTokens: usage.output_tokens || 0,
+      cacheCreationTokens: usage.cache_creation_input_tokens || 0,
+      cacheReadTokens: usage.cache_read_input_tokens || 0,
+      cost: this.calculateCost(model, usage)
+    };
+
+    try {
+      appendJsonl(LEDGER_FILE, entry);
+    } catch (error) {
+      log.error(`❌ Failed to write cost ledger:`, error.message);
+    }
+
+    this.aggregate(entry);
+    return entry;
+  }
+
+  aggregate(entry) {
+    const day = entry.timestamp.split('T')[0];
+    if (!this.dailyTotals.has(day)) {
+      this.dailyTotals.set(day, emptyTotals());
+    }
+
+    const totals = this.dailyTotals.get(day);
+    totals.total += entry.cost;
+    totals.calls += 1;
+    addTo(totals.byChannel, entry.channelId, entry.cost);
+    addTo(totals.byUser, entry.userName, entry.cost);
+    addTo(totals.byModel, entry.model, entry.cost);
+  }
+
+  /**
+   * Totals for a date range (inclusive, YYYY-MM-DD), defaults to the current month
+   */
+  getTotals({ from, to } = {}) {
+    const now = new Date();
+    const start = from || `${dayKey(now).substring(0, 7)}-01`;
+    const end = to || dayKey(now);
+    const result = { from: start, to: end, ...emptyTotals(), byDay: {} };
+
+    for (const [day, totals] of this.dailyTotals.entries()) {
+      if (day < start || day > end) continue;
+
+      result.total += totals.total;
+      result.calls += totals.calls;
+      result.byDay[day] = totals.total;
+      for (const [key, cost] of Object.entries(totals.byChannel)) addTo(result.byChannel, key, cost);
+      for (const [key, cost] of Object.entries(totals.byUser)) addTo(result.byUser, key, cost);
+      for (const [key, cost] of Object.entries(totals.byModel)) addTo(result.byModel, key, cost);
+    }
+
+    return result;
+  }
+
+  /**
+   * Spend for a scope ('global' | 'channel' | 'user') in the current day or month
+   */
+  getSpend(scope, key, period) {
+    const today = dayKey(new Date());
+    const prefix = period === 'daily' ? today : today.substring(0, 7);
+    let spent = 0;
+
+    for (const [day, totals] of this.dailyTotals.entries()) {
+      if (!day.startsWith(prefix)) continue;
+
+      if (scope === 'global') spent += totals.total;
+      if (scope === 'channel') spent += totals.byChannel[key] || 0;
+      if (scope === 'user') spent += totals.byUser[key] || 0;
+    }
+
+    return spent;
+  }
+
+  /**
+   * Check budgets before processing a message
+   * Returns { allowed, model?, exceeded: [{ scope, key, period, limit, spent }] }
+   * - allowed=false: refuse the message
+   * - model set: continue, but with the cheaper downgrade model
+   */
+  checkBudget({ channelId, userName }) {
+    const scopes = [
+      ['global', null, this.budgets.global],
+      ['channel', channelId, this.budgets.channels?.[channelId]],
+      ['user', userName, this.budgets.users?.[userName]]
+    ];
+
+    const exceeded = [];
+    for (const [scope, key, limits] of scopes) {
+      if (!limits) continue;
+
+      for (const period of ['daily', 'monthly']) {
+        const limit = limits[period];
+        if (limit == null) continue;
+
+        const spent = this.getSpend(scope, key, period);
+        if (spent >= limit) {
+          exceeded.push({ scope, key, period, limit, spent });
+        }
+      }
+    }
+
+    if (exceeded.length === 0) {
+      return { allowed: true, exceeded };
+    }
+
+    if (this.budgets.action === 'downgrade' && this.budgets.downgradeModel) {
+      return { allowed: true, model: this.budgets.downgradeModel, exceeded };
+    }
+
+    return { allowed: false, exceeded };
+  }
+}
+
+/**
+ * Check a budgets update (PUT /admin/budgets) before it is saved
+ * Caps must be positive numbers (null removes a cap)
+ * Returns an error message, or null when the update is valid
+ */
+export function validateBudgets(budgets) {
+  const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+  const checkLimits = (limits, label) => {
+    if (!isObject(limits)) return `${label} must be an object with daily and/or monthly caps`;
+
+    for (const [period, cap] of Object.entries(limits)) {
+      if (!['daily', 'monthly'].includes(period)) return `${label}.${period} is not a cap (use daily or monthly)`;
+      if (cap !== null && !(typeof cap === 'number' && Number.isFinite(cap) && cap > 0)) {
+        return `${label}.${period} must be a positive number or null`;
+      }
+    }
+    return null;
+  };
+
+  if (!isObject(budgets)) return 'body must be a JSON object';
+
+  if (budgets.action !== undefined && !['refuse', 'downgrade'].includes(budgets.action)) {
+    return 'action must be "refuse" or "downgrade"';
+  }
+  if (budgets.downgradeModel !== undefined && (typeof budgets.downgradeModel !== 'string' || !budgets.downgradeModel)) {
+    return 'downgradeModel must be a model id';
+  }
+  if (budgets.global !== undefined) {
+    const error = checkLimits(budgets.global, 'global');
+    if (error) return error;
+  }
+
+  for (const scope of ['channels', 'users']) {
+    if (budgets[scope] === undefined) continue;
+    if (!isObject(budgets[scope])) return `${scope} must be an object keyed by ${scope === 'channels' ? 'channel id' : 'user name'}`;
+
+    for (const [key, limits] of Object.entries(budgets[scope])) {
+      const error = checkLimits(limits, `${scope}.${key}`);
+      if (error) return error;
+    }
+  }
+
+  const unknown = Object.keys(budgets).filter(key => !['global', 'channels', 'users', 'action', 'downgradeModel'].includes(key));
+  if (unknown.length > 0) return `unknown budget fields: ${unknown.join(', ')}`;
+
+  return null;
+}
+
+// Singleton instance
+export const costLedger = new CostLedger();
@@ -0,0 +1,44 @@
+/**
+ * JSONL Log
+ * Tiny helpers for append-only JSON-lines files under data/
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('jsonl');
+
+export const DATA_DIR = path.resolve(process.cwd(), process.env.DATA_DIR || 'data');
+
+/**
+ * Append one record as a JSON line (creates the file and directory if needed)
+ */
+export function appendJsonl(filePath, record) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, 'utf-8');
+}
+
+/**
+ * Read all records from a JSON-lines file
+ * Missing file -> empty array, corrupt lines are skipped
+ */
+export function readJsonl(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  const records = [];
+  const lines = fs.readFileSync(filePath, 'utf-8').split('\n');
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      log.warn(`⚠️  Skipping corrupt line in ${path.basename(filePath)}`);
+    }
+  }
+
+  return records;
+}
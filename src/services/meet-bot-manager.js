@@ -4,6 +4,9 @@
  */
 
 import axios from 'axios';
+import { createLogger } from './logger.js';
+
+const log = createLogger('meet-bot');
 
 class MeetBotManager {
   constructor() {
@@ -20,7 +23,7 @@ class MeetBotManager {
    */
   async joinMeeting(meetingUrl, channelId, botName = 'BugBuster 3000') {
     try {
-      console.log(`🤖 Creating Recall.ai bot for meeting: ${meetingUrl}`);
+      log.info(`🤖 Creating Recall.ai bot for meeting: ${meetingUrl}`);
 
       const webhookUrl = process.env.RECALL_WEBHOOK_URL || `${this.botUiUrl.replace('/bot-ui', '')}/meet/webhook`;
 
@@ -66,11 +69,11 @@ class MeetBotManager {
 
       this.activeBots.set(botId, botInfo);
 
-      console.log(`✅ Bot created: ${botId} for channel ${channelId}`);
+      log.info(`✅ Bot created: ${botId} for channel ${channelId}`);
       return botInfo;
 
     } catch (error) {
-      console.error('❌ Failed to create Recall.ai bot:', error.response?.data || error.message);
+      log.error('❌ Failed to create Recall.ai bot:', error.response?.data || error.message);
       throw new Error(`Failed to join meeting: ${error.response?.data?.message || error.message}`);
     }
   }
@@ -119,7 +122,7 @@ class MeetBotManager {
    */
   async leaveMeeting(botId) {
     try {
-      console.log(`🚪 Removing bot: ${botId}`);
+      log.info(`🚪 Removing bot: ${botId}`);
 
       await axios.delete(
         `${this.recallApiUrl}/bot/${botId}`,
@@ -131,10 +134,10 @@ class MeetBotManager {
       );
 
       this.activeBots.delete(botId);
-      console.log(`✅ Bot removed: ${botId}`);
+      log.info(`✅ Bot removed: ${botId}`);
 
     } catch (error) {
-      console.error('❌ Failed to remove bot:', error.response?.data || error.message);
+      log.error('❌ Failed to remove bot:', error.response?.data || error.message);
       throw error;
     }
   }
@@ -163,14 +166,14 @@ class MeetBotManager {
       const age = now - createdAt;
 
       if (age > TWO_HOURS_MS) {
-        console.log(`🧹 Cleaning up stale bot ${botId} (age: ${Math.round(age / 1000 / 60)} minutes)`);
+        log.info(`🧹 Cleaning up stale bot ${botId} (age: ${Math.round(age / 1000 / 60)} minutes)`);
         this.activeBots.delete(botId);
         cleanedCount++;
       }
     }
 
     if (cleanedCount > 0) {
-      console.log(`✅ Cleaned up ${cleanedCount} stale bots`);
+      log.info(`✅ Cleaned up ${cleanedCount} stale bots`);
     }
 
     return cleanedCount;
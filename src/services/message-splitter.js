@@ -0,0 +1,125 @@
+/**
+ * Message Splitter
+ * Splits long replies into Cliq-sized chunks without breaking paragraphs or code blocks
+ *
+ * Preference order for a cut: between paragraphs, then between lines, then mid-line.
+ * A code block that has to be cut is closed at the end of one chunk and reopened
+ * (same fence and language) at the start of the next, so every chunk renders on its own.
+ */
+
+const FENCE = /^\s*(`{3,}|~{3,})(.*)$/;
+
+/**
+ * Paragraphs and whole code blocks, in order
+ */
+function toBlocks(text) {
+  const blocks = [];
+  let current = [];
+  let openFence = null;
+
+  const flush = () => {
+    if (current.length > 0) blocks.push(current.join('\n'));
+    current = [];
+  };
+
+  for (const line of text.split('\n')) {
+    const fence = line.match(FENCE);
+
+    if (openFence) {
+      current.push(line);
+      if (fence && fence[1].startsWith(openFence) && !fence[2].trim()) {
+        openFence = null;
+        flush();
+      }
+      continue;
+    }
+
+    if (fence) {
+      flush();
+      openFence = fence[1];
+      current.push(line);
+    } else if (!line.trim()) {
+      flush();
+    } else {
+      current.push(line);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Cut a single line into pieces of at most maxChars
+ */
+function cutLine(line, maxChars) {
+  const pieces = [];
+  for (let start = 0; start < line.length; start += maxChars) {
+    pieces.push(line.substring(start, start + maxChars));
+  }
+  return pieces;
+}
+
+/**
+ * Split one block that doesn't fit, at line boundaries
+ */
+function splitBlock(block, maxChars) {
+  const lines = block.split('\n');
+  const fence = lines[0].match(FENCE);
+  const fenceLength = lines[0].length + lines[lines.length - 1].length + 2;
+
+  // Code keeps its fence on every piece - unless the fences alone fill a chunk, then it's cut like text
+  const isCode = !!fence && lines.length > 1 && FENCE.test(lines[lines.length - 1]) && fenceLength < maxChars;
+  const opening = isCode ? lines[0] : null;
+  const closing = isCode ? lines[lines.length - 1] : null;
+  const body = isCode ? lines.slice(1, -1) : lines;
+  const room = Math.max(isCode ? maxChars - fenceLength : maxChars, 1);
+
+  const pieces = [];
+  let current = [];
+  let length = 0;
+  const flush = () => {
+    if (current.length === 0) return;
+    pieces.push(isCode ? [opening, ...current, closing].join('\n') : current.join('\n'));
+    current = [];
+    length = 0;
+  };
+
+  for (const line of body.flatMap(line => (line.length > room ? cutLine(line, room) : [line]))) {
+    if (length + line.length + (current.length > 0 ? 1 : 0) > room) flush();
+    length += line.length + (current.length > 0 ? 1 : 0);
+    current.push(line);
+  }
+  flush();
+
+  return pieces;
+}
+
+/**
+ * @param {string} text
+ * @param {number} maxChars - hard limit per chunk
+ * @returns {string[]} chunks in order (a single chunk if the text fits)
+ */
+export function splitMessage(text, maxChars) {
+  if (!text || text.length <= maxChars) {
+    return [text];
+  }
+
+  const chunks = [];
+  let current = '';
+
+  for (const block of toBlocks(text)) {
+    const pieces = block.length > maxChars ? splitBlock(block, maxChars) : [block];
+
+    for (const piece of pieces) {
+      if (current && current.length + 2 + piece.length > maxChars) {
+        chunks.push(current);
+        current = '';
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+    }
+  }
+  if (current) chunks.push(current);
+
+  return chunks;
+}
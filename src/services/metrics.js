@@ -0,0 +1,155 @@
+/**
+ * Metrics
+ * Minimal Prometheus registry: counters, gauges and histograms rendered in the text exposition format
+ * Instrumented code records through the helpers at the bottom; /metrics renders the registry.
+ */
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+
+const metrics = new Map();
+
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function formatLabels(entries) {
+  if (entries.length === 0) return '';
+  const escape = (value) => value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+  return `{${entries.map(([name, value]) => `${name}="${escape(value)}"`).join(',')}}`;
+}
+
+function register(name, type, help, extra = {}) {
+  if (!metrics.has(name)) {
+    metrics.set(name, { name, type, help, series: new Map(), ...extra });
+  }
+  return metrics.get(name);
+}
+
+export function counter(name, help) {
+  const metric = register(name, 'counter', help);
+  return {
+    inc(labels = {}, value = 1) {
+      const key = labelKey(labels);
+      metric.series.set(key, (metric.series.get(key) || 0) + value);
+    }
+  };
+}
+
+export function gauge(name, help) {
+  const metric = register(name, 'gauge', help);
+  return {
+    set(labels = {}, value) {
+      metric.series.set(labelKey(labels), value);
+    },
+    // Replace every series at once (for values read from live state at scrape time)
+    reset(values = []) {
+      metric.series.clear();
+      values.forEach(({ labels = {}, value }) => metric.series.set(labelKey(labels), value));
+    }
+  };
+}
+
+export function histogram(name, help, buckets = DURATION_BUCKETS) {
+  const metric = register(name, 'histogram', help, { buckets });
+  return {
+    observe(labels = {}, value) {
+      const key = labelKey(labels);
+      const series = metric.series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, index) => {
+        if (value <= bound) series.counts[index]++;
+      });
+      series.sum += value;
+      series.count++;
+      metric.series.set(key, series);
+    }
+  };
+}
+
+/**
+ * Whole registry in Prometheus text format
+ */
+export function renderMetrics() {
+  const lines = [];
+
+  for (const metric of metrics.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const [key, value] of metric.series) {
+      const labels = JSON.parse(key);
+
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(labels)} ${value}`);
+        continue;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels([...labels, ['le', String(bound)]])} ${value.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels([...labels, ['le', '+Inf']])} ${value.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${value.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${value.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// --- BugBuster metrics ---
+
+const anthropicDuration = histogram('bugbuster_anthropic_request_duration_seconds', 'Anthropic API call latency (per attempt)');
+const anthropicTokens = counter('bugbuster_anthropic_tokens_total', 'Tokens used by Anthropic API calls');
+const anthropicErrors = counter('bugbuster_anthropic_errors_total', 'Failed Anthropic API attempts by error type');
+const toolExecutions = counter('bugbuster_tool_executions_total', 'Tool executions by tool and outcome');
+const toolDuration = histogram('bugbuster_tool_duration_seconds', 'Tool execution duration');
+const toolTimeouts = counter('bugbuster_tool_timeouts_total', 'Tool calls abandoned after their timeout');
+const cliqWebhook = counter('bugbuster_cliq_webhook_requests_total', 'Outbound Cliq webhook posts by outcome');
+const cliqDeadLetters = counter('bugbuster_cliq_dead_letters_total', 'Cliq messages given up on and moved to the dead-letter store');
+const jiraRequests = counter('bugbuster_jira_requests_total', 'Jira API requests by operation and outcome');
+
+export const queueDepthGauge = gauge('bugbuster_queue_depth', 'Messages waiting behind the one being processed, per channel');
+export const activeSessionsGauge = gauge('bugbuster_active_sessions', 'Sessions with conversation history in memory');
+export const activeMeetBotsGauge = gauge('bugbuster_meet_bots_active', 'Recall.ai bots currently in a meeting');
+export const cliqPendingGauge = gauge('bugbuster_cliq_outbound_pending', 'Cliq webhook posts waiting for delivery (including retries)');
+
+/**
+ * One Anthropic API attempt
+ * @param {Object} call - { model, durationMs, usage?, error? }
+ */
+export function recordAnthropicCall({ model, durationMs, usage, error }) {
+  anthropicDuration.observe({ model, outcome: error ? 'error' : 'success' }, durationMs / 1000);
+
+  if (error) {
+    const type = error?.error?.error?.type || (error.status ? `http_${error.status}` : error.name || 'unknown');
+    anthropicErrors.inc({ model, type });
+    return;
+  }
+
+  if (usage) {
+    anthropicTokens.inc({ model, type: 'input' }, usage.input_tokens || 0);
+    anthropicTokens.inc({ model, type: 'output' }, usage.output_tokens || 0);
+    anthropicTokens.inc({ model, type: 'cache_read' }, usage.cache_read_input_tokens || 0);
+    anthropicTokens.inc({ model, type: 'cache_write' }, usage.cache_creation_input_tokens || 0);
+  }
+}
+
+export function recordToolMetrics({ toolName, outcome, durationMs }) {
+  toolExecutions.inc({ tool: toolName, outcome });
+  toolDuration.observe({ tool: toolName }, durationMs / 1000);
+}
+
+export function recordToolTimeout(toolName) {
+  toolTimeouts.inc({ tool: toolName });
+}
+
+export function recordCliqWebhook(outcome) {
+  cliqWebhook.inc({ outcome });
+}
+
+export function recordCliqDeadLetter() {
+  cliqDeadLetters.inc();
+}
+
+export function recordJiraRequest(operation, outcome) {
+  jiraRequests.inc({ operation, outcome });
+}
@@ -0,0 +1,56 @@
+/**
+ * Prompt Cache
+ * Places cache breakpoints so repeated calls in a tool loop reuse the prompt prefix
+ *
+ * Cache prefix order is tools -> system -> messages, so we mark:
+ * 1. the last tool definition      (tool list)
+ * 2. the system prompt             (CLAUDE.md + memory + channel rules)
+ * 3. the last block of the history (stable prefix for the next call)
+ *
+ * Disable with PROMPT_CACHING=false.
+ */
+
+const CACHE_CONTROL = { type: 'ephemeral' };
+
+export function isPromptCachingEnabled() {
+  return process.env.PROMPT_CACHING !== 'false';
+}
+
+/**
+ * Copy of the tool list with a breakpoint on the last tool
+ */
+export function withCachedTools(tools) {
+  if (!isPromptCachingEnabled() || tools.length === 0) return tools;
+
+  const cached = [...tools];
+  cached[cached.length - 1] = { ...cached[cached.length - 1], cache_control: CACHE_CONTROL };
+  return cached;
+}
+
+/**
+ * System prompt as a cached text block
+ */
+export function withCachedSystem(system) {
+  if (!isPromptCachingEnabled()) return system;
+  return [{ type: 'text', text: system, cache_control: CACHE_CONTROL }];
+}
+
+/**
+ * Copy of the history with a breakpoint on the last content block
+ * (stored history is never mutated - cache_control only lives in the request)
+ */
+export function withCachedHistory(messages) {
+  if (!isPromptCachingEnabled() || messages.length === 0) return messages;
+
+  const cached = [...messages];
+  const last = cached[cached.length - 1];
+  const content = typeof last.content === 'string'
+    ? [{ type: 'text', text: last.content }]
+    : [...last.content];
+
+  if (content.length === 0) return messages;
+
+  content[content.length - 1] = { ...content[content.length - 1], cache_control: CACHE_CONTROL };
+  cached[cached.length - 1] = { ...last, content };
+  return cached;
+}
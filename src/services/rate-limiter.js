@@ -0,0 +1,105 @@
+/**
+ * Rate Limiter
+ * Sliding-window limits on how many messages the agent accepts per Cliq user and per channel
+ *
+ * Policy (env, 0 = unlimited):
+ * - RATE_LIMIT_USER_MESSAGES      messages per user per window (default 10)
+ * - RATE_LIMIT_CHANNEL_MESSAGES   messages per channel per window, threads included (default 30)
+ * - RATE_LIMIT_WINDOW_MS          window length (default 60000)
+ * - MAX_QUEUE_DEPTH               messages waiting behind the one being processed, per session
+ *                                 (default 5 - enforced by AgentSDKManager.sendMessage)
+ */
+
+function parseLimit(value, fallback) {
+  const parsed = parseInt(value ?? '', 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+}
+
+class RateLimiter {
+  constructor() {
+    this.userLimit = parseLimit(process.env.RATE_LIMIT_USER_MESSAGES, 10);
+    this.channelLimit = parseLimit(process.env.RATE_LIMIT_CHANNEL_MESSAGES, 30);
+    this.windowMs = parseLimit(process.env.RATE_LIMIT_WINDOW_MS, 60000);
+    this.maxQueueDepth = parseLimit(process.env.MAX_QUEUE_DEPTH, 5);
+    // Map: "user:<name>" | "channel:<id>" -> timestamps of accepted messages within the window
+    this.hits = new Map();
+    // Map: limited key -> when the last "slow down" notice was sent (one notice per window)
+    this.noticesSentAt = new Map();
+    // Keys of users and channels that went quiet are swept at most once per window
+    this.lastSweepAt = 0;
+  }
+
+  /**
+   * Drop keys whose window is empty, and notices older than a window
+   */
+  sweep(now) {
+    if (now - this.lastSweepAt < this.windowMs) {
+      return;
+    }
+    this.lastSweepAt = now;
+
+    for (const key of this.hits.keys()) {
+      this.recent(key, now);
+    }
+    for (const [key, sentAt] of this.noticesSentAt) {
+      if (now - sentAt >= this.windowMs) this.noticesSentAt.delete(key);
+    }
+  }
+
+  /**
+   * Timestamps still inside the window (drops the rest)
+   */
+  recent(key, now) {
+    const timestamps = (this.hits.get(key) || []).filter(at => now - at < this.windowMs);
+    if (timestamps.length > 0) {
+      this.hits.set(key, timestamps);
+    } else {
+      this.hits.delete(key);
+    }
+    return timestamps;
+  }
+
+  /**
+   * Count a message against its user and channel, unless either is over its limit
+   * @returns {{ allowed: boolean, scope?: 'user'|'channel', key?: string, retryAfterMs?: number }}
+   */
+  check({ channelId, userName }) {
+    const now = Date.now();
+    this.sweep(now);
+    const buckets = [
+      { scope: 'user', key: userName ? `user:${userName.toLowerCase()}` : null, limit: this.userLimit },
+      { scope: 'channel', key: `channel:${channelId}`, limit: this.channelLimit }
+    ].filter(bucket => bucket.key && bucket.limit > 0);
+
+    for (const { scope, key, limit } of buckets) {
+      const timestamps = this.recent(key, now);
+      if (timestamps.length >= limit) {
+        return { allowed: false, scope, key, retryAfterMs: this.windowMs - (now - timestamps[0]) };
+      }
+    }
+
+    for (const { key } of buckets) {
+      this.hits.set(key, [...(this.hits.get(key) || []), now]);
+    }
+    return { allowed: true };
+  }
+
+  /**
+   * Has this limited key already been told to slow down in the current window?
+   * Marks it as told - so only the first rejected message gets a notice
+   */
+  shouldNotify(key) {
+    const now = Date.now();
+    if (now - (this.noticesSentAt.get(key) || 0) < this.windowMs) {
+      return false;
+    }
+    this.noticesSentAt.set(key, now);
+    return true;
+  }
+
+  isQueueFull(depth) {
+    return this.maxQueueDepth > 0 && depth >= this.maxQueueDepth;
+  }
+}
+
+export const rateLimiter = new RateLimiter();
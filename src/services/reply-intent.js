@@ -0,0 +1,73 @@
+/**
+ * Reply Intent
+ * The agent says "nothing to add" by calling the stay_silent tool instead of writing a
+ * magic string. The manager handles the call itself (it never reaches the tool registry)
+ * and every reply/silence decision is logged to data/reply-decisions.jsonl for tuning.
+ *
+ * A reply that is exactly "[SILENT]" (the old convention, still in older CLAUDE.md files)
+ * is treated like a stay_silent call, with a deprecation warning.
+ */
+
+import path from 'path';
+import { DATA_DIR, appendJsonl } from './jsonl-log.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('agent');
+
+const DECISIONS_FILE = path.join(DATA_DIR, 'reply-decisions.jsonl');
+
+export const STAY_SILENT_TOOL = {
+  name: 'stay_silent',
+  description: "Call this INSTEAD of replying when a message doesn't need a response from you: people talking to each other, chit-chat, off-topic stuff, or an incomplete meeting transcript you should wait on. Nothing gets posted. Don't write any text in the same response - it won't be shown.",
+  input_schema: {
+    type: 'object',
+    properties: {
+      reason: {
+        type: 'string',
+        description: 'Short reason for staying silent (logged for tuning, never shown)'
+      }
+    },
+    required: ['reason']
+  }
+};
+
+// Result handed back for a stay_silent call
+export const STAY_SILENT_RESULT = 'Stayed silent - nothing was posted.';
+
+export function isStaySilentCall(block) {
+  return block.type === 'tool_use' && block.name === STAY_SILENT_TOOL.name;
+}
+
+const LEGACY_SILENT_TEXT = '[SILENT]';
+
+/**
+ * Is this text block the old "[SILENT]" marker?
+ */
+export function isLegacySilentText(text) {
+  if (typeof text !== 'string' || text.trim() !== LEGACY_SILENT_TEXT) return false;
+
+  log.warn(`⚠️  Agent replied "${LEGACY_SILENT_TEXT}" - treated as stay_silent. Update CLAUDE.md to call the stay_silent tool instead, "${LEGACY_SILENT_TEXT}" support will be removed`);
+  return true;
+}
+
+/**
+ * Log one reply decision
+ * @param {Object} decision - { channelId, threadId, userName, messageId, mode ('chat' | 'meet'), silent, reason, textLength }
+ */
+export function logReplyDecision({ channelId, threadId, userName, messageId, mode, silent, reason, textLength }) {
+  try {
+    appendJsonl(DECISIONS_FILE, {
+      timestamp: new Date().toISOString(),
+      channelId,
+      threadId: threadId || null,
+      userName: userName || null,
+      messageId: messageId || null,
+      mode,
+      decision: silent ? 'silent' : 'reply',
+      reason: reason || null,
+      textLength
+    });
+  } catch (error) {
+    log.error(`❌ Failed to log reply decision:`, error.message);
+  }
+}
@@ -0,0 +1,33 @@
+/**
+ * Session Keys
+ * A conversation session is a Cliq channel, or a thread inside one.
+ * Channel sessions are keyed by the plain channel ID (so existing sessions, Meet and
+ * admin tooling keep working); thread sessions by "<channelId>:thread:<threadId>".
+ */
+
+const THREAD_SEPARATOR = ':thread:';
+
+export function sessionKeyFor(channelId, threadId = null) {
+  return threadId ? `${channelId}${THREAD_SEPARATOR}${threadId}` : channelId;
+}
+
+/**
+ * @returns {{ channelId: string, threadId: string|null }}
+ */
+export function parseSessionKey(sessionKey) {
+  const index = String(sessionKey).indexOf(THREAD_SEPARATOR);
+  if (index === -1) {
+    return { channelId: sessionKey, threadId: null };
+  }
+  return {
+    channelId: sessionKey.substring(0, index),
+    threadId: sessionKey.substring(index + THREAD_SEPARATOR.length)
+  };
+}
+
+/**
+ * Channel a session belongs to (profiles, budgets, model config and Meet are per channel)
+ */
+export function channelIdOf(sessionKey) {
+  return parseSessionKey(sessionKey).channelId;
+}
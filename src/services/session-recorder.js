@@ -0,0 +1,59 @@
+/**
+ * Session Recorder
+ * Records real Cliq sessions as replay fixtures for the eval harness (scripts/replay-sessions.js)
+ *
+ * Enabled by RECORD_SESSIONS_DIR. One JSONL file per channel, one line per event:
+ * - { type: 'message', messageId, channelId, channelName, threadId, userName, text, attachments, payload }
+ * - { type: 'tool', messageId, toolName, input, result, isError }
+ * - { type: 'reply', messageId, text, silent }
+ * Events of one inbound message share its messageId. Thread messages go to their channel's file.
+ */
+
+import path from 'path';
+import { appendJsonl } from './jsonl-log.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('recorder');
+
+const RECORD_DIR = process.env.RECORD_SESSIONS_DIR
+  ? path.resolve(process.cwd(), process.env.RECORD_SESSIONS_DIR)
+  : null;
+
+export function isRecordingEnabled() {
+  return RECORD_DIR !== null;
+}
+
+function fixtureFile(channelId) {
+  return path.join(RECORD_DIR, `${String(channelId).replace(/[^a-zA-Z0-9_-]/g, '_')}.jsonl`);
+}
+
+function record(channelId, event) {
+  if (!RECORD_DIR || !channelId) return;
+
+  try {
+    appendJsonl(fixtureFile(channelId), { timestamp: new Date().toISOString(), ...event });
+  } catch (error) {
+    log.error(`❌ Failed to record session event:`, error.message);
+  }
+}
+
+/**
+ * Inbound participation message (raw payload kept for reference)
+ */
+export function recordMessage({ messageId, channelId, channelName, threadId, userName, text, attachments, payload }) {
+  record(channelId, { type: 'message', messageId, channelId, channelName, threadId: threadId || null, userName, text, attachments, payload });
+}
+
+/**
+ * Tool call made while handling a message, with the real result
+ */
+export function recordToolCall({ messageId, channelId, toolName, input, result, isError }) {
+  record(channelId, { type: 'tool', messageId, toolName, input, result, isError: !!isError });
+}
+
+/**
+ * What the agent finally said (or that it stayed silent)
+ */
+export function recordReply({ messageId, channelId, text, silent }) {
+  record(channelId, { type: 'reply', messageId, text, silent: !!silent });
+}
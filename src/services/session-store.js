@@ -0,0 +1,118 @@
+/**
+ * Session Store
+ * Persists per-channel conversation sessions so they survive restarts
+ *
+ * Backends:
+ * - file (default): one JSON file per channel in SESSION_STORE_DIR (default: DATA_DIR/sessions)
+ * - memory: no persistence (previous behavior)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './jsonl-log.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('session-store');
+
+const DEFAULT_STORE_DIR = path.join(DATA_DIR, 'sessions');
+
+/**
+ * In-memory backend (nothing survives a restart)
+ */
+export class MemorySessionStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  loadAll() {
+    return Array.from(this.records.values());
+  }
+
+  save(channelId, record) {
+    this.records.set(channelId, record);
+  }
+
+  delete(channelId) {
+    this.records.delete(channelId);
+  }
+}
+
+/**
+ * File name for a channel ID: letters, digits, _ and - as they are, every other byte as %XX
+ * (reversible, so two IDs never share a file, and nothing like "../" survives)
+ */
+export function encodeFileName(channelId) {
+  return Array.from(Buffer.from(String(channelId), 'utf-8'), byte => {
+    const char = String.fromCharCode(byte);
+    return /[a-zA-Z0-9_-]/.test(char) ? char : `%${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+  }).join('');
+}
+
+/**
+ * File backend: $DATA_DIR/sessions/<encoded channelId>.json
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated session behind. save/delete are async;
+ * callers must not overlap two writes for the same channel.
+ */
+export class FileSessionStore {
+  constructor(dir = DEFAULT_STORE_DIR) {
+    this.dir = dir;
+    fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  /**
+   * Channel IDs come from Cliq, but never trust them as file names
+   */
+  filePath(channelId) {
+    return path.join(this.dir, `${encodeFileName(channelId)}.json`);
+  }
+
+  loadAll() {
+    const records = [];
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+
+      try {
+        const raw = fs.readFileSync(path.join(this.dir, file), 'utf-8');
+        const record = JSON.parse(raw);
+        records.push(record);
+
+        // Files written before IDs were encoded - moved to their encoded name so save/delete find them
+        const target = this.filePath(record.channelId);
+        if (record.channelId !== undefined && path.join(this.dir, file) !== target) {
+          fs.renameSync(path.join(this.dir, file), target);
+        }
+      } catch (error) {
+        log.warn(`⚠️  Skipping unreadable session file ${file}: ${error.message}`);
+      }
+    }
+
+    return records;
+  }
+
+  async save(channelId, record) {
+    const target = this.filePath(channelId);
+    const tmp = `${target}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(record), 'utf-8');
+    await fs.promises.rename(tmp, target);
+  }
+
+  async delete(channelId) {
+    await fs.promises.rm(this.filePath(channelId), { force: true });
+  }
+}
+
+/**
+ * Create the store configured via SESSION_STORE (file | memory)
+ */
+export function createSessionStore(type = process.env.SESSION_STORE || 'file') {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore(process.env.SESSION_STORE_DIR || DEFAULT_STORE_DIR);
+    default:
+      throw new Error(`Unknown session store: ${type}`);
+  }
+}
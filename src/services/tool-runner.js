@@ -0,0 +1,119 @@
+/**
+ * Tool Runner
+ * Executes the tool calls of one assistant turn concurrently
+ *
+ * - At most TOOL_CONCURRENCY tools run at the same time
+ * - Every tool gets a timeout (TOOL_TIMEOUT_<NAME>_MS, else the tool's metadata.timeoutMs, else TOOL_TIMEOUT_MS)
+ * - Results come back in the same order as the tool calls
+ * - Failures (thrown errors, timeouts, "❌ ..." results) are marked with is_error
+ */
+
+import { executeTool, getToolMetadata } from '../tools/index.js';
+import { approvalManager } from './approval-manager.js';
+import { recordToolTimeout } from './metrics.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('tools');
+
+const TOOL_CONCURRENCY = parseInt(process.env.TOOL_CONCURRENCY || '4', 10);
+const DEFAULT_TOOL_TIMEOUT_MS = parseInt(process.env.TOOL_TIMEOUT_MS || '120000', 10);
+
+/**
+ * Timeout for a tool call, e.g. TOOL_TIMEOUT_SERVER_EXEC_MS=30000
+ * Calls that wait for human approval get the approval window on top
+ */
+function getToolTimeout(toolCall) {
+  const override = process.env[`TOOL_TIMEOUT_${toolCall.name.toUpperCase()}_MS`];
+  const timeoutMs = override
+    ? parseInt(override, 10)
+    : getToolMetadata(toolCall.name)?.timeoutMs || DEFAULT_TOOL_TIMEOUT_MS;
+
+  return approvalManager.requiresApproval(toolCall.name, toolCall.input)
+    ? timeoutMs + approvalManager.timeoutMs
+    : timeoutMs;
+}
+
+/**
+ * Reject if the promise doesn't settle in time
+ * (the underlying work isn't cancelled, its result is just ignored)
+ */
+function withTimeout(promise, timeoutMs, toolName) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      recordToolTimeout(toolName);
+      reject(new Error(`${toolName} timed out after ${Math.round(timeoutMs / 1000)}s`));
+    }, timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Tools report most failures by returning a "❌ ..." string instead of throwing
+ */
+function isErrorResult(result) {
+  return typeof result === 'string' && result.trimStart().startsWith('❌');
+}
+
+/**
+ * Run a single tool call and turn it into a tool_result block
+ */
+async function runToolCall(toolCall, context, { onStart, onEnd, execute = executeTool }) {
+  onStart?.(toolCall);
+  const startedAt = Date.now();
+
+  try {
+    const result = await withTimeout(
+      execute(toolCall.name, toolCall.input, context),
+      getToolTimeout(toolCall),
+      toolCall.name
+    );
+
+    const isError = isErrorResult(result);
+    log.info(`   ${isError ? '✗' : '✓'} ${toolCall.name} completed in ${Date.now() - startedAt}ms`);
+    onEnd?.(toolCall, isError ? { error: result } : {});
+
+    return {
+      type: 'tool_result',
+      tool_use_id: toolCall.id,
+      content: result,
+      ...(isError && { is_error: true })
+    };
+  } catch (error) {
+    log.error(`   ✗ ${toolCall.name} failed:`, error.message);
+    onEnd?.(toolCall, { error: error.message });
+
+    return {
+      type: 'tool_result',
+      tool_use_id: toolCall.id,
+      content: `Error: ${error.message}`,
+      is_error: true
+    };
+  }
+}
+
+/**
+ * Execute tool calls with a concurrency cap
+ *
+ * @param {Array} toolCalls - tool_use blocks from one assistant turn
+ * @param {Object} context - Passed through to executeTool
+ * @param {Object} hooks - Optional { onStart(toolCall), onEnd(toolCall, { error }), execute } (execute defaults to executeTool)
+ * @returns {Promise<Array>} tool_result blocks, same order as toolCalls
+ */
+export async function runToolCalls(toolCalls, context, hooks = {}) {
+  const results = new Array(toolCalls.length);
+  let nextIndex = 0;
+
+  async function worker() {
+    while (nextIndex < toolCalls.length) {
+      const index = nextIndex++;
+      results[index] = await runToolCall(toolCalls[index], context, hooks);
+    }
+  }
+
+  const workerCount = Math.min(Math.max(TOOL_CONCURRENCY, 1), toolCalls.length);
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
@@ -2,6 +2,11 @@
  * Create Jira Ticket Tool
  */
 
+import { recordJiraRequest } from '../../services/metrics.js';
+import { createLogger } from '../../services/logger.js';
+
+const log = createLogger('tool:create_jira_ticket');
+
 export const definition = {
   name: 'create_jira_ticket',
   description: 'Create a Jira ticket for bugs, issues, or feature requests. Use when user reports something that needs tracking.',
@@ -31,9 +36,19 @@ export const definition = {
   }
 };
 
-export async function execute({ title, description, priority = 'Medium', labels }) {
+export const metadata = {
+  riskLevel: 'medium',
+  timeoutMs: 30000,
+  requiredEnv: ['JIRA_BASE_URL', 'JIRA_EMAIL', 'JIRA_API_TOKEN']
+};
+
+export async function execute({ title, description, priority = 'Medium', labels }, context = {}) {
   try {
-    console.log(`🎫 Creating Jira ticket: "${title}"`);
+    // Channel profile decides the project and adds its default labels
+    const projectKey = context.profile?.jiraProjectKey || process.env.JIRA_PROJECT_KEY;
+    const allLabels = [...new Set([...(context.profile?.jiraLabels || []), ...(labels || [])])];
+
+    log.info(`🎫 Creating Jira ticket in ${projectKey}: "${title}"`);
 
     let fullDescription = description;
     fullDescription += `\n\n---\n_Created by BugBuster 3000 AI Agent_`;
@@ -43,7 +58,7 @@ export async function execute({ title, description, priority = 'Medium', labels
     const issueData = {
       fields: {
         project: {
-          key: process.env.JIRA_PROJECT_KEY
+          key: projectKey
         },
         summary: title,
         description: fullDescription,
@@ -56,8 +71,8 @@ export async function execute({ title, description, priority = 'Medium', labels
       }
     };
 
-    if (labels && labels.length > 0) {
-      issueData.fields.labels = labels;
+    if (allLabels.length > 0) {
+      issueData.fields.labels = allLabels;
     }
 
     const authString = Buffer.from(
@@ -71,11 +86,16 @@ export async function execute({ title, description, priority = 'Medium', labels
         'Content-Type': 'application/json'
       },
       body: JSON.stringify(issueData)
+    }).catch(error => {
+      recordJiraRequest('create_issue', 'network_error');
+      throw error;
     });
 
+    recordJiraRequest('create_issue', response.ok ? 'success' : `http_${response.status}`);
+
     if (!response.ok) {
       const errorData = await response.text();
-      console.error(`❌ Jira API error (${response.status}):`, errorData);
+      log.error(`❌ Jira API error (${response.status}):`, errorData);
       throw new Error(`Jira API error: ${response.status} - ${errorData}`);
     }
 
@@ -83,10 +103,10 @@ export async function execute({ title, description, priority = 'Medium', labels
     const ticketKey = result.key;
     const ticketUrl = `${process.env.JIRA_BASE_URL}/browse/${ticketKey}`;
 
-    console.log(`✅ Jira ticket created: ${ticketKey}`);
+    log.info(`✅ Jira ticket created: ${ticketKey}`);
     return `✅ Jira ticket created successfully!\n\nTicket: ${ticketKey}\nURL: ${ticketUrl}\nPriority: ${priority}\nTitle: ${title}`;
   } catch (error) {
-    console.error(`❌ Jira ticket creation failed:`, error.message);
+    log.error(`❌ Jira ticket creation failed:`, error.message);
     return `❌ Failed to create Jira ticket: ${error.message}`;
   }
 }
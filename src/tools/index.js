@@ -1,33 +1,213 @@
 /**
  * Tools Registry
- * Central export for all BugBuster tools
+ * Discovers BugBuster tools from src/tools/<tool>/index.js
+ *
+ * A tool module exports:
+ * - definition   Anthropic tool definition ({ name, description, input_schema })
+ * - execute      async (input, context) => string
+ * - metadata     optional { riskLevel: 'low'|'medium'|'high', timeoutMs, requiredEnv: [] }
+ * - isConfigured optional () => boolean, for configuration env vars can't express
+ *
+ * Tools with an invalid definition are skipped, tools with missing configuration
+ * (or listed in TOOLS_DISABLED) are disabled. Per-channel enablement comes from channel profiles.
  */
 
-import * as createJiraTicket from './create-jira-ticket/index.js';
-import * as serverExec from './server-exec/index.js';
-import * as updateMemory from './update-memory/index.js';
-import * as joinMeet from './join-meet/index.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { approvalManager } from '../services/approval-manager.js';
+import { recordToolExecution } from '../services/audit-log.js';
+import { recordToolCall } from '../services/session-recorder.js';
+import { recordToolMetrics } from '../services/metrics.js';
+import { validateDefinition, validateInput } from './schema.js';
+import { createLogger } from '../services/logger.js';
 
-// Tool definitions for Anthropic API
-export const tools = [
-  serverExec.definition,
-  createJiraTicket.definition,
-  updateMemory.definition,
-  joinMeet.definition
-];
+const log = createLogger('tools');
+
+const TOOLS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_METADATA = { riskLevel: 'low', timeoutMs: null, requiredEnv: [] };
+const DISABLED_TOOLS = (process.env.TOOLS_DISABLED || '').split(',').map(name => name.trim()).filter(Boolean);
+
+/**
+ * Why a tool can't be used right now (null if it can)
+ */
+function getDisabledReason(module, metadata) {
+  if (DISABLED_TOOLS.includes(module.definition.name)) {
+    return 'disabled via TOOLS_DISABLED';
+  }
+
+  const missingEnv = metadata.requiredEnv.filter(name => !process.env[name]);
+  if (missingEnv.length > 0) {
+    return `missing configuration: ${missingEnv.join(', ')}`;
+  }
+
+  if (module.isConfigured && !module.isConfigured()) {
+    return 'not configured';
+  }
+
+  return null;
+}
+
+/**
+ * Import every src/tools/<dir>/index.js and register the valid ones
+ */
+async function discoverTools() {
+  const registry = new Map();
+  const dirs = fs.readdirSync(TOOLS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+
+  for (const dir of dirs) {
+    const file = path.join(TOOLS_DIR, dir, 'index.js');
+    if (!fs.existsSync(file)) continue;
+
+    try {
+      const module = await import(pathToFileURL(file).href);
+
+      const errors = validateDefinition(module.definition);
+      if (typeof module.execute !== 'function') {
+        errors.push('missing execute()');
+      }
+      if (errors.length > 0) {
+        log.warn(`⚠️  Skipping tool ${dir}: ${errors.join('; ')}`);
+        continue;
+      }
+
+      const metadata = { ...DEFAULT_METADATA, ...module.metadata };
+      const disabledReason = getDisabledReason(module, metadata);
+      if (disabledReason) {
+        log.warn(`⚠️  Tool ${module.definition.name} disabled (${disabledReason})`);
+      }
+
+      registry.set(module.definition.name, { module, metadata, disabledReason });
+    } catch (error) {
+      log.error(`❌ Failed to load tool ${dir}:`, error.message);
+    }
+  }
+
+  log.info(`🧰 Loaded tools: ${Array.from(registry.keys()).join(', ')}`);
+  return registry;
+}
+
+const registry = await discoverTools();
+
+// Tool definitions for Anthropic API (enabled tools only)
+export const tools = Array.from(registry.values())
+  .filter(entry => !entry.disabledReason)
+  .map(entry => entry.module.definition);
+
+/**
+ * Tool definitions enabled for a channel profile (all tools if the profile doesn't restrict them)
+ * includeDisabled also offers tools whose configuration is missing (replays with stubbed tools)
+ */
+export function getToolsForProfile(profile, { includeDisabled = false } = {}) {
+  const available = includeDisabled
+    ? Array.from(registry.values()).map(entry => entry.module.definition)
+    : tools;
+
+  if (!profile?.tools) {
+    return available;
+  }
+  return available.filter(tool => profile.tools.includes(tool.name));
+}
+
+/**
+ * Metadata for a tool ({ riskLevel, timeoutMs, requiredEnv }), null if unknown
+ */
+export function getToolMetadata(toolName) {
+  return registry.get(toolName)?.metadata || null;
+}
+
+/**
+ * Status of every discovered tool (for health checks)
+ */
+export function getToolStatus() {
+  return Array.from(registry.entries()).map(([name, { metadata, disabledReason }]) => ({
+    name,
+    enabled: !disabledReason,
+    disabledReason,
+    riskLevel: metadata.riskLevel
+  }));
+}
 
 // Tool executor
-export async function executeTool(toolName, input, context) {
-  switch (toolName) {
-    case 'server_exec':
-      return await serverExec.execute(input);
-    case 'create_jira_ticket':
-      return await createJiraTicket.execute(input);
-    case 'update_memory':
-      return await updateMemory.execute(input);
-    case 'join_google_meet':
-      return await joinMeet.execute(input, context);
-    default:
-      throw new Error(`Unknown tool: ${toolName}`);
+// context: { channelId, channelName, threadId, userName, messageId, profile }
+// (messageId is also the correlation ID on every log line the message causes)
+// Every call (including rejected and denied ones) is written to the audit log
+// (and to the session recording when RECORD_SESSIONS_DIR is set)
+export async function executeTool(toolName, input, context = {}) {
+  const startedAt = Date.now();
+  let approvedBy = null;
+  const audit = (outcome, result) => {
+    recordToolExecution({
+      channelId: context.channelId,
+      userName: context.userName,
+      toolName,
+      input,
+      outcome,
+      result,
+      approvedBy,
+      durationMs: Date.now() - startedAt
+    });
+    recordToolMetrics({ toolName, outcome, durationMs: Date.now() - startedAt });
+    recordToolCall({
+      messageId: context.messageId,
+      channelId: context.channelId,
+      toolName,
+      input,
+      result,
+      isError: outcome !== 'success'
+    });
+  };
+  const reject = (message) => {
+    audit('rejected', message);
+    throw new Error(message);
+  };
+
+  const entry = registry.get(toolName);
+  if (!entry) {
+    reject(`Unknown tool: ${toolName}`);
+  }
+  if (entry.disabledReason) {
+    reject(`Tool ${toolName} is disabled (${entry.disabledReason})`);
+  }
+  if (context.profile?.tools && !context.profile.tools.includes(toolName)) {
+    reject(`Tool ${toolName} is not enabled in this channel`);
+  }
+
+  const inputErrors = validateInput(entry.module.definition.input_schema, input);
+  if (inputErrors.length > 0) {
+    reject(`Invalid input for ${toolName}: ${inputErrors.join('; ')}`);
+  }
+
+  // Risky actions wait for a human in the channel to approve them
+  if (approvalManager.requiresApproval(toolName, input)) {
+    const decision = await approvalManager.requestApproval({
+      channelId: context.channelId,
+      channelName: context.channelName,
+      threadId: context.threadId,
+      toolName,
+      input,
+      requestedBy: context.userName
+    });
+
+    approvedBy = decision.by || null;
+    if (!decision.approved) {
+      const result = `❌ Not executed - approval required and ${decision.reason}. Tell the user, don't retry unless they ask.`;
+      audit('denied', result);
+      return result;
+    }
+  }
+
+  try {
+    const result = await entry.module.execute(input, context);
+    // Tools report most failures as "❌ ..." strings
+    const failed = typeof result === 'string' && result.trimStart().startsWith('❌');
+    audit(failed ? 'error' : 'success', result);
+    return result;
+  } catch (error) {
+    audit('error', `Error: ${error.message}`);
+    throw error;
   }
 }
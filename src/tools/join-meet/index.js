@@ -4,6 +4,9 @@
  */
 
 import { meetBotManager } from '../../services/meet-bot-manager.js';
+import { createLogger } from '../../services/logger.js';
+
+const log = createLogger('tool:join_google_meet');
 
 export const definition = {
   name: 'join_google_meet',
@@ -20,6 +23,12 @@ export const definition = {
   }
 };
 
+export const metadata = {
+  riskLevel: 'medium',
+  timeoutMs: 60000,
+  requiredEnv: ['RECALL_AI_API_KEY']
+};
+
 /**
  * Extract Google Meet URL from text
  */
@@ -48,7 +57,7 @@ export async function execute({ meeting_url }, context = {}) {
       return `⚠️ Already in a meeting for this channel. Bot ID: ${existingBot.botId}`;
     }
 
-    console.log(`🎥 Joining Google Meet: ${meeting_url} for channel ${channelId}`);
+    log.info(`🎥 Joining Google Meet: ${meeting_url} for channel ${channelId}`);
 
     // Join meeting
     const botInfo = await meetBotManager.joinMeeting(meeting_url, channelId);
@@ -61,7 +70,7 @@ Meeting: ${meeting_url}
 I'm now joining the meeting and will be able to hear and speak. Give me a few seconds to connect...`;
 
   } catch (error) {
-    console.error('❌ join_google_meet error:', error);
+    log.error('❌ join_google_meet error:', error);
     return `❌ Failed to join meeting: ${error.message}`;
   }
 }
@@ -0,0 +1,128 @@
+/**
+ * Tool Schema Validation
+ * Small JSON Schema subset used by tool definitions:
+ * type (object/string/number/integer/boolean/array), properties, required, enum, items
+ */
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+const SUPPORTED_TYPES = ['object', 'string', 'number', 'integer', 'boolean', 'array'];
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Check a property schema is something validateInput understands
+ */
+function validatePropertySchema(schema, where, errors) {
+  if (!schema || typeof schema !== 'object') {
+    errors.push(`${where} must be an object`);
+    return;
+  }
+  if (schema.type && !SUPPORTED_TYPES.includes(schema.type)) {
+    errors.push(`${where} has unsupported type "${schema.type}"`);
+  }
+  if (schema.enum && !Array.isArray(schema.enum)) {
+    errors.push(`${where}.enum must be an array`);
+  }
+  if (schema.type === 'array' && schema.items) {
+    validatePropertySchema(schema.items, `${where}.items`, errors);
+  }
+  if (schema.type === 'object' && schema.properties) {
+    for (const [key, property] of Object.entries(schema.properties)) {
+      validatePropertySchema(property, `${where}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Validate a tool definition
+ * @returns {string[]} problems (empty if valid)
+ */
+export function validateDefinition(definition) {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return ['missing definition export'];
+  }
+  if (typeof definition.name !== 'string' || !TOOL_NAME_PATTERN.test(definition.name)) {
+    errors.push(`invalid name "${definition.name}"`);
+  }
+  if (typeof definition.description !== 'string' || !definition.description.trim()) {
+    errors.push('missing description');
+  }
+
+  const schema = definition.input_schema;
+  if (!schema || schema.type !== 'object') {
+    errors.push('input_schema must be of type "object"');
+    return errors;
+  }
+
+  const properties = schema.properties || {};
+  for (const [key, property] of Object.entries(properties)) {
+    validatePropertySchema(property, `input_schema.${key}`, errors);
+  }
+  for (const key of schema.required || []) {
+    if (!(key in properties)) {
+      errors.push(`required field "${key}" is not in properties`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a value against a (sub)schema
+ */
+function validateValue(value, schema, where, errors) {
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${where} should be ${schema.type}, got ${typeOf(value)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${where} must be one of: ${schema.enum.join(', ')}`);
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, index) => validateValue(item, schema.items, `${where}[${index}]`, errors));
+  }
+  if (schema.type === 'object') {
+    validateObject(value, schema, where, errors);
+  }
+}
+
+function validateObject(value, schema, where, errors) {
+  for (const key of schema.required || []) {
+    if (value[key] === undefined || value[key] === null) {
+      errors.push(`${where ? `${where}.` : ''}${key} is required`);
+    }
+  }
+
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (value[key] === undefined || value[key] === null) continue;
+    validateValue(value[key], property, where ? `${where}.${key}` : key, errors);
+  }
+}
+
+/**
+ * Validate tool input against its input_schema
+ * Unknown properties are allowed (the model occasionally adds some, tools ignore them)
+ * @returns {string[]} problems (empty if valid)
+ */
+export function validateInput(schema, input) {
+  if (!input || typeOf(input) !== 'object') {
+    return ['input must be an object'];
+  }
+
+  const errors = [];
+  validateObject(input, schema, '', errors);
+  return errors;
+}
@@ -4,6 +4,10 @@
  */
 
 import { Client } from 'ssh2';
+import { createLogger, redactSecrets } from '../../services/logger.js';
+import { splitShellCommands } from '../../services/approval-manager.js';
+
+const log = createLogger('tool:server_exec');
 
 // Whitelist of allowed command prefixes
 const ALLOWED_COMMANDS = [
@@ -56,18 +60,25 @@ const ALLOWED_COMMANDS = [
   'printenv'
 ];
 
+// Whitelisted commands that can run some other command: env VAR=x <cmd>, find -exec <cmd>
+const RUNS_ANOTHER_COMMAND = [
+  /^env\s/,
+  /^find\s.*\s-(exec|execdir|ok|okdir|delete)(\s|$)/
+];
+
 export const definition = {
   name: 'server_exec',
   description: `Execute diagnostic commands on remote servers via SSH.
 
 Available servers are configured via SERVER_* environment variables.
 
-Allowed commands (whitelist):
+Allowed commands (whitelist) - every command in a chain (;, &&, |, $(...)) must be on it:
 - Docker: ps, logs, inspect, stats, top, restart, exec
 - System: free, df, top, htop, uptime, ps, du
 - Network: netstat, ss, lsof, ping, curl, wget
 - Files: cat, head, tail, ls, grep, find, tree
-- Info: uname, whoami, hostname, date, env
+- Info: uname, whoami, hostname, date, env (without arguments)
+Commands that run other commands (sudo, timeout, xargs, sh -c, env <cmd>, find -exec) are rejected.
 
 Examples:
 - "docker ps -a" - list all containers
@@ -91,6 +102,12 @@ Examples:
   }
 };
 
+export const metadata = {
+  riskLevel: 'high',
+  timeoutMs: 60000,
+  requiredEnv: []
+};
+
 /**
  * Get available servers from environment variables
  */
@@ -115,21 +132,24 @@ function getAvailableServers() {
 }
 
 /**
- * Validate command against whitelist
+ * Validate command against whitelist - every command in a chain, not just the first
  */
-function validateCommand(command) {
+export function validateCommand(command) {
   const trimmed = command.trim();
 
-  // Check if command starts with any allowed prefix
-  const isAllowed = ALLOWED_COMMANDS.some(allowed =>
-    trimmed.startsWith(allowed)
-  );
-
-  if (!isAllowed) {
-    throw new Error(
-      `Command not allowed: "${trimmed}"\n\n` +
-      `Allowed commands: ${ALLOWED_COMMANDS.join(', ')}`
+  for (const segment of splitShellCommands(trimmed)) {
+    // Whole words only - "ps" allows "ps aux", not "psql"
+    const isAllowed = ALLOWED_COMMANDS.some(allowed =>
+      segment === allowed || segment.startsWith(`${allowed} `)
     );
+
+    if (!isAllowed || RUNS_ANOTHER_COMMAND.some(pattern => pattern.test(segment))) {
+      throw new Error(
+        `Command not allowed: "${segment}"\n\n` +
+        `Allowed commands: ${ALLOWED_COMMANDS.join(', ')} (each command in a chain is checked; ` +
+        'commands that run other commands, like env <cmd> or find -exec, are not allowed)'
+      );
+    }
   }
 
   return trimmed;
@@ -186,16 +206,48 @@ async function executeSSH(serverConfig, command) {
   });
 }
 
+/**
+ * Disabled until at least one SERVER_*_HOST is set
+ */
+export function isConfigured() {
+  return Object.keys(getAvailableServers()).length > 0;
+}
+
+/**
+ * Servers this channel may touch (channel profile restricts the list)
+ */
+function getServersForContext(context) {
+  const servers = getAvailableServers();
+  const allowed = context.profile?.servers;
+
+  if (!allowed) {
+    return servers;
+  }
+
+  return Object.fromEntries(
+    Object.entries(servers).filter(([name]) => allowed.includes(name))
+  );
+}
+
+/**
+ * Names of the servers a channel profile may touch (for /bugbuster servers)
+ */
+export function listServerNames(profile = null) {
+  return Object.keys(getServersForContext({ profile }));
+}
+
 /**
  * Execute tool
  */
-export async function execute({ server, command }) {
+export async function execute({ server, command }, context = {}) {
   try {
-    // Get available servers
-    const servers = getAvailableServers();
+    // Get available servers (limited to the channel profile's servers)
+    const servers = getServersForContext(context);
 
     if (Object.keys(servers).length === 0) {
-      return '❌ No servers configured. Add SERVER_* environment variables.';
+      return context.profile?.servers
+        ? '❌ No servers available in this channel.'
+        : '❌ No servers configured. Add SERVER_* environment variables.';
     }
 
     // Check if server exists
@@ -210,7 +262,7 @@ export async function execute({ server, command }) {
     // Get server config
     const serverConfig = servers[server];
 
-    console.log(`🔧 Executing on ${server}: ${validatedCommand}`);
+    log.info(`🔧 Executing on ${server}: ${validatedCommand}`);
 
     // Execute via SSH
     const output = await executeSSH(serverConfig, validatedCommand);
@@ -219,10 +271,11 @@ export async function execute({ server, command }) {
       return `✅ Command executed successfully (no output)`;
     }
 
-    return `📋 Output from ${server}:\n\n${output}`;
+    // Output goes to Claude, Cliq, the audit log and recordings - never let env/printenv secrets through
+    return `📋 Output from ${server}:\n\n${redactSecrets(output)}`;
 
   } catch (error) {
-    console.error('❌ server_exec error:', error);
+    log.error('❌ server_exec error:', error);
     return `❌ Error: ${error.message}`;
   }
 }
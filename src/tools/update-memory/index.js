@@ -5,6 +5,9 @@
 
 import fs from 'fs';
 import path from 'path';
+import { createLogger } from '../../services/logger.js';
+
+const log = createLogger('tool:update_memory');
 
 const MEMORY_FILE = path.resolve(process.cwd(), 'agent-memory.md');
 
@@ -28,6 +31,12 @@ export const definition = {
   }
 };
 
+export const metadata = {
+  riskLevel: 'low',
+  timeoutMs: 10000,
+  requiredEnv: []
+};
+
 export async function execute({ note, category }) {
   try {
     // Read existing memory or create new
@@ -75,10 +84,10 @@ export async function execute({ note, category }) {
     // Write back
     fs.writeFileSync(MEMORY_FILE, memory, 'utf-8');
 
-    console.log(`💾 Memory updated: [${category}] ${note}`);
+    log.info(`💾 Memory updated: [${category}] ${note}`);
     return `✅ Saved to memory`;
   } catch (error) {
-    console.error(`❌ Memory update failed:`, error.message);
+    log.error(`❌ Memory update failed:`, error.message);
     return `❌ Failed to save: ${error.message}`;
   }
 }
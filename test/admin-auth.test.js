@@ -0,0 +1,62 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { requireAdmin, signAdminRequest, safeEqual } from '../src/middleware/admin-auth.js';
+
+/**
+ * Run requireAdmin against a fake request, returns the status (200 when it called next)
+ */
+function check({ method = 'GET', url = '/admin/sessions', headers = {}, body = '' } = {}) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { method, originalUrl: url, ip: '127.0.0.1', rawBody: Buffer.from(body), get: (name) => lowered[name.toLowerCase()] };
+  let status = 200;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+
+  requireAdmin(req, res, () => {});
+  return status;
+}
+
+test('admin API is disabled without a key or secret', () => {
+  delete process.env.ADMIN_API_KEY;
+  delete process.env.ADMIN_HMAC_SECRET;
+  assert.equal(check({ headers: { 'X-Admin-Key': 'anything' } }), 503);
+});
+
+test('accepts the API key as X-Admin-Key or bearer token', () => {
+  process.env.ADMIN_API_KEY = 'admin-key';
+  assert.equal(check({ headers: { 'X-Admin-Key': 'admin-key' } }), 200);
+  assert.equal(check({ headers: { Authorization: 'Bearer admin-key' } }), 200);
+  assert.equal(check({ headers: { 'X-Admin-Key': 'admin-kex' } }), 401);
+  assert.equal(check(), 401);
+  delete process.env.ADMIN_API_KEY;
+});
+
+test('accepts fresh HMAC signatures over nonce, method, path and body only, once each', () => {
+  process.env.ADMIN_HMAC_SECRET = 'hmac-secret';
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const request = { method: 'POST', url: '/admin/sessions/CT_1/notes', body: '{"note":"hi"}' };
+  const signed = (stamp, nonce) => ({
+    'X-Admin-Timestamp': stamp,
+    'X-Admin-Nonce': nonce,
+    'X-Admin-Signature': signAdminRequest('hmac-secret', { timestamp: stamp, nonce, ...request })
+  });
+  const headers = signed(timestamp, 'nonce-1');
+
+  assert.equal(check({ ...request, body: '{"note":"changed"}', headers }), 401);
+  assert.equal(check({ ...request, url: '/admin/sessions/CT_2/notes', headers }), 401);
+  assert.equal(check({ ...request, headers: { ...headers, 'X-Admin-Nonce': 'nonce-2' } }), 401);
+  assert.equal(check({ ...request, headers }), 200);
+  assert.equal(check({ ...request, headers }), 401);
+
+  const { 'X-Admin-Nonce': omitted, ...withoutNonce } = signed(timestamp, 'nonce-3');
+  assert.equal(check({ ...request, headers: withoutNonce }), 401);
+
+  const stale = String(Number(timestamp) - 3600);
+  assert.equal(check({ ...request, headers: signed(stale, 'nonce-4') }), 401);
+  delete process.env.ADMIN_HMAC_SECRET;
+});
+
+test('safeEqual compares strings of any length', () => {
+  assert.equal(safeEqual('abc', 'abc'), true);
+  assert.equal(safeEqual('abc', 'abcd'), false);
+});
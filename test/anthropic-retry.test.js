@@ -0,0 +1,88 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { isRetryableError, withRetry, callWithFallback } from '../src/services/anthropic-retry.js';
+
+const apiError = (status, message = `HTTP ${status}`) => Object.assign(new Error(message), { status });
+const config = { model: 'claude-sonnet-4-5', fallbackModel: 'claude-haiku-4-5', maxRetries: 2, retryBaseDelayMs: 1 };
+
+test('isRetryableError: rate limits, server errors, overloaded and connection errors', () => {
+  for (const status of [408, 429, 500, 502, 503, 504, 529]) {
+    assert.equal(isRetryableError(apiError(status)), true, `status ${status}`);
+  }
+  assert.equal(isRetryableError({ error: { error: { type: 'overloaded_error' } } }), true);
+  assert.equal(isRetryableError(Object.assign(new Error('reset'), { name: 'APIConnectionError' })), true);
+
+  assert.equal(isRetryableError(apiError(400)), false);
+  assert.equal(isRetryableError(apiError(401)), false);
+  assert.equal(isRetryableError(new TypeError('bug')), false);
+});
+
+test('withRetry retries transient errors until one attempt succeeds', async () => {
+  let attempts = 0;
+  const result = await withRetry(async () => {
+    attempts++;
+    if (attempts < 3) throw apiError(529);
+    return 'done';
+  }, { maxRetries: 3, baseDelayMs: 1 });
+
+  assert.equal(result, 'done');
+  assert.equal(attempts, 3);
+});
+
+test('withRetry gives up on errors that are not transient', async () => {
+  let attempts = 0;
+  await assert.rejects(withRetry(async () => {
+    attempts++;
+    throw apiError(400, 'bad request');
+  }, { maxRetries: 3, baseDelayMs: 1 }), /bad request/);
+
+  assert.equal(attempts, 1);
+});
+
+test('callWithFallback switches to the fallback model when the primary keeps failing', async () => {
+  const models = [];
+  const { result, model } = await callWithFallback(async (attemptModel) => {
+    models.push(attemptModel);
+    if (attemptModel === config.model) throw apiError(529);
+    return { usage: { input_tokens: 1, output_tokens: 1 } };
+  }, config);
+
+  assert.equal(model, 'claude-haiku-4-5');
+  assert.ok(result.usage);
+  assert.deepEqual(models, ['claude-sonnet-4-5', 'claude-sonnet-4-5', 'claude-sonnet-4-5', 'claude-haiku-4-5']);
+});
+
+test('callWithFallback does not fall back on non-transient errors', async () => {
+  const models = [];
+  await assert.rejects(callWithFallback(async (attemptModel) => {
+    models.push(attemptModel);
+    throw apiError(401, 'invalid x-api-key');
+  }, config), /invalid x-api-key/);
+
+  assert.deepEqual(models, ['claude-sonnet-4-5']);
+});
+
+test('a retry-after longer than the max delay goes to the fallback model instead of waiting', async () => {
+  const models = [];
+  const startedAt = Date.now();
+  const { model } = await callWithFallback(async (attemptModel) => {
+    models.push(attemptModel);
+    if (attemptModel === config.model) throw Object.assign(apiError(429), { headers: { 'retry-after': '600' } });
+    return {};
+  }, { ...config, retryMaxDelayMs: 50 });
+
+  assert.equal(model, 'claude-haiku-4-5');
+  assert.deepEqual(models, ['claude-sonnet-4-5', 'claude-haiku-4-5']);
+  assert.ok(Date.now() - startedAt < 1000);
+});
+
+test('an attempt that already streamed text is not retried', async () => {
+  const models = [];
+  await assert.rejects(callWithFallback(async (attemptModel) => {
+    models.push(attemptModel);
+    throw Object.assign(apiError(529, 'overloaded mid-stream'), { partialResponse: true });
+  }, config), /overloaded mid-stream/);
+
+  assert.deepEqual(models, ['claude-sonnet-4-5']);
+});
@@ -0,0 +1,30 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+
+process.env.ATTACHMENT_MAX_BYTES = '1000';
+process.env.ATTACHMENT_MAX_TOTAL_BYTES = '1500';
+const { extractAttachments, buildAttachmentBlocks } = await import('../src/services/attachments.js');
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end('x'.repeat(800));
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+after(() => server.close());
+
+test('a file URL that does not parse still gets a name', () => {
+  const [attachment] = extractAttachments({ file: { url: 'http://[broken' } });
+  assert.equal(attachment.name, 'file');
+});
+
+test('downloads stop once the total per message is used up', async () => {
+  const files = ['a.log', 'b.log', 'c.log'].map(name => ({ name, type: 'text/plain', url: `${baseUrl}/${name}` }));
+  const texts = (await buildAttachmentBlocks(files)).map(block => block.text);
+
+  assert.match(texts[0], /^\nAttachment a\.log:/);
+  assert.match(texts[1], /couldn't download it: over what's left of the 1 KB limit per message/);
+  assert.match(texts[2], /couldn't download it: over what's left/);
+});
@@ -0,0 +1,32 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { recordToolExecution, queryAuditLog, auditLogToCsv } from '../src/services/audit-log.js';
+
+test('records tool executions and filters them newest first', () => {
+  recordToolExecution({ channelId: 'CT_a', userName: 'Sam', toolName: 'server_exec', input: { server: 'prod', command: 'uptime' }, outcome: 'success', result: 'up 3 days', durationMs: 40 });
+  recordToolExecution({ channelId: 'CT_a', userName: 'Alex', toolName: 'server_exec', input: { server: 'db', command: 'false' }, outcome: 'error', result: '❌ Command exited with code 1', durationMs: 12 });
+  recordToolExecution({ channelId: 'CT_b', userName: 'Sam', toolName: 'create_jira_ticket', input: { title: 'Bug' }, outcome: 'denied', result: 'denied', approvedBy: null, durationMs: 5 });
+
+  assert.deepEqual(queryAuditLog({ channel: 'CT_a' }).map(entry => entry.userName), ['Alex', 'Sam']);
+  assert.deepEqual(queryAuditLog({ server: 'prod' }).map(entry => entry.exitCode), [0]);
+  assert.equal(queryAuditLog({ outcome: 'error' })[0].exitCode, 1);
+  assert.equal(queryAuditLog({ tool: 'create_jira_ticket' })[0].exitCode, null);
+  assert.equal(queryAuditLog({ limit: '1' }).length, 1);
+  assert.equal(queryAuditLog({ to: '2000-01-01' }).length, 0);
+});
+
+test('CSV export quotes cells with commas, quotes and newlines', () => {
+  const csv = auditLogToCsv([{
+    id: '1',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    toolName: 'server_exec',
+    input: { server: 'prod', command: 'echo "a,b"' },
+    outcome: 'success',
+    result: 'line 1\nline 2'
+  }]);
+  const [header, row] = csv.split(/\n(?=1,)/);
+
+  assert.equal(header, 'id,timestamp,channelId,userName,toolName,server,input,outcome,exitCode,approvedBy,durationMs,result');
+  assert.equal(row, '1,2026-01-01T00:00:00.000Z,,,server_exec,prod,"{""server"":""prod"",""command"":""echo \\""a,b\\""""}",success,,,,"line 1\nline 2"');
+});
@@ -0,0 +1,64 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AgentSDKManager } from '../src/services/bugbuster-manager.js';
+
+/**
+ * Manager whose turns only record the content they got (no API calls)
+ */
+function manager({ maxQueueDepth = 5, check = () => ({ allowed: true }) } = {}) {
+  const limiter = {
+    check,
+    isQueueFull: (depth) => depth >= maxQueueDepth,
+    shouldNotify: () => true
+  };
+  const agent = new AgentSDKManager({ rateLimiter: limiter, pausedSessions: new Map() });
+  agent.processed = [];
+  agent._processMessage = async (channelId, userMessage, content) => {
+    agent.processed.push({ userMessage, content });
+    return { text: userMessage, silent: false, reason: null };
+  };
+  return agent;
+}
+
+const slowContent = (blocks, ms = 50) => () => new Promise(resolve => setTimeout(() => resolve(blocks), ms));
+
+test('messages keep their order while an earlier one is still building its content', async () => {
+  const agent = manager();
+  const first = agent.sendMessage('CT_1', 'with file', 'bugs', slowContent([{ type: 'text', text: 'file' }]));
+  const second = agent.sendMessage('CT_1', 'plain', 'bugs', null);
+
+  await Promise.all([first, second]);
+  assert.deepEqual(agent.processed.map(({ userMessage }) => userMessage), ['with file', 'plain']);
+  assert.deepEqual(agent.processed[0].content, [{ type: 'text', text: 'file' }]);
+});
+
+test('a message building its content counts towards the queue depth', async () => {
+  const agent = manager({ maxQueueDepth: 1 });
+  const first = agent.sendMessage('CT_1', 'with file', 'bugs', slowContent([]));
+  const second = agent.sendMessage('CT_1', 'queued', 'bugs', null);
+  const third = await agent.sendMessage('CT_1', 'overflow', 'bugs', null);
+
+  assert.match(third.text, /messages lined up/);
+  await Promise.all([first, second]);
+  assert.deepEqual(agent.processed.map(({ userMessage }) => userMessage), ['with file', 'queued']);
+});
+
+test('meeting speakers are not user rate limited and overflow is not announced in the meeting', async () => {
+  const checked = [];
+  const agent = manager({
+    check: ({ userName }) => {
+      checked.push(userName);
+      return { allowed: false, scope: 'channel', key: 'channel:CT_1', retryAfterMs: 1000 };
+    }
+  });
+  const notices = [];
+  agent.on('text', ({ text }) => notices.push(text));
+
+  const reply = await agent.sendMessage('CT_1', '[Google Meet] Alex: hi', null, null, { userName: 'Alex', source: 'meet' });
+
+  assert.deepEqual(checked, [null]);
+  assert.equal(reply.silent, true);
+  assert.deepEqual(notices, []);
+  assert.deepEqual(agent.processed, []);
+});
@@ -0,0 +1,64 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { verifyCliqRequest, signCliqRequest } from '../src/middleware/cliq-auth.js';
+
+/**
+ * Run verifyCliqRequest against a fake request, returns the status (200 when it called next)
+ */
+function check(body) {
+  const req = { path: '/webhook/cliq/participate', ip: '127.0.0.1', body, get: () => undefined };
+  let status = 200;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+
+  verifyCliqRequest(req, res, () => {});
+  return status;
+}
+
+let nonceCounter = 0;
+
+function signed(body, secret = 'cliq-secret') {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = `nonce-${++nonceCounter}`;
+  const signature = signCliqRequest(secret, {
+    timestamp,
+    nonce,
+    channelId: body.channel_id,
+    channelName: body.channel_name,
+    orgId: body.org_id,
+    userName: body.user_name,
+    body: body.message_object
+  });
+  return { ...body, timestamp, nonce, signature };
+}
+
+const MESSAGE = {
+  channel_id: 'CT_1',
+  channel_name: 'bugs',
+  org_id: '42',
+  user_name: 'Alex',
+  message_object: JSON.stringify({ text: 'hi', thread_message_id: 'TH_1', file: { url: 'https://files.zoho.com/a.png' } })
+};
+
+test('rejects every request without a secret unless auth is explicitly disabled', () => {
+  delete process.env.CLIQ_WEBHOOK_SECRET;
+  assert.equal(check(MESSAGE), 401);
+
+  process.env.CLIQ_AUTH_DISABLED = '1';
+  assert.equal(check(MESSAGE), 200);
+  delete process.env.CLIQ_AUTH_DISABLED;
+});
+
+test('signature covers channel name, organization, attachments and thread', () => {
+  process.env.CLIQ_WEBHOOK_SECRET = 'cliq-secret';
+  assert.equal(check(signed(MESSAGE)), 200);
+
+  const tampered = (changes) => ({ ...signed(MESSAGE), ...changes });
+  const message = JSON.parse(MESSAGE.message_object);
+  assert.equal(check(tampered({ channel_name: 'other' })), 401);
+  assert.equal(check(tampered({ org_id: '43' })), 401);
+  assert.equal(check(tampered({ message_object: JSON.stringify({ ...message, file: { url: 'https://evil.example/x' } }) })), 401);
+  assert.equal(check(tampered({ message_object: JSON.stringify({ ...message, thread_message_id: 'TH_2' }) })), 401);
+  assert.equal(check(signed(MESSAGE, 'wrong-secret')), 401);
+  delete process.env.CLIQ_WEBHOOK_SECRET;
+});
@@ -0,0 +1,13 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+delete process.env.CLIQ_COMMAND_ADMINS;
+process.env.APPROVAL_USERS = 'Alex';
+const { runCliqCommand, isCommandAdmin } = await import('../src/services/cliq-commands.js');
+
+test('admin commands are refused for everyone while CLIQ_COMMAND_ADMINS is unset', async () => {
+  assert.equal(isCommandAdmin('Alex'), false);
+  const reply = await runCliqCommand({ args: 'reset', userName: 'Alex', channelId: 'CT_1' });
+  assert.match(reply, /off until CLIQ_COMMAND_ADMINS is set/);
+});
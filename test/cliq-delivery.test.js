@@ -0,0 +1,35 @@
+import './setup.js';
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { cliqDelivery } from '../src/services/cliq-delivery.js';
+
+const received = [];
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    received.push(JSON.parse(body));
+    // Slow enough for shutdown to start while the post is in flight
+    setTimeout(() => res.end('{}'), 100);
+  });
+});
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+process.env.CLIQ_BOT_WEBHOOK_URL = `http://127.0.0.1:${server.address().port}/webhook`;
+after(() => server.close());
+
+test('shutdown waits for the post in flight and parks only what was not sent', async () => {
+  cliqDelivery.send('bugs', [{ text: 'part 1' }, { text: 'part 2' }], { id: 'reply-1' }).catch(() => {});
+  cliqDelivery.send('bugs', [{ text: 'next reply' }], { id: 'reply-2' }).catch(() => {});
+  await new Promise(resolve => setTimeout(resolve, 20));
+
+  await cliqDelivery.deadLetterPending();
+
+  assert.deepEqual(received, [{ text: 'part 1' }]);
+  assert.deepEqual(cliqDelivery.getDeadLetters().map(({ id, payloads }) => ({ id, payloads })), [
+    { id: 'reply-1', payloads: [{ text: 'part 2' }] },
+    { id: 'reply-2', payloads: [{ text: 'next reply' }] }
+  ]);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  assert.equal(received.length, 1);
+});
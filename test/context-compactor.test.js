@@ -0,0 +1,132 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compactHistory, findCutIndex, estimateTokens, renderTranscript } from '../src/services/context-compactor.js';
+
+const user = (text) => ({ role: 'user', content: text });
+const assistant = (text) => ({ role: 'assistant', content: text });
+const toolUse = (id, name = 'server_exec') => ({ role: 'assistant', content: [{ type: 'tool_use', id, name, input: { command: 'uptime' } }] });
+const toolResult = (id, content = 'ok') => ({ role: 'user', content: [{ type: 'tool_result', tool_use_id: id, content }] });
+
+/**
+ * Every tool_use must be answered by a tool_result in the next message, and every tool_result must answer one
+ */
+function assertToolPairsValid(history) {
+  history.forEach((message, index) => {
+    if (!Array.isArray(message.content)) return;
+
+    for (const block of message.content.filter(block => block.type === 'tool_use')) {
+      const next = history[index + 1];
+      assert.ok(Array.isArray(next?.content) && next.content.some(result => result.type === 'tool_result' && result.tool_use_id === block.id),
+        `tool_use ${block.id} has no result`);
+    }
+    for (const block of message.content.filter(block => block.type === 'tool_result')) {
+      const previous = history[index - 1];
+      assert.ok(Array.isArray(previous?.content) && previous.content.some(call => call.type === 'tool_use' && call.id === block.tool_use_id),
+        `tool_result ${block.tool_use_id} answers nothing`);
+    }
+  });
+}
+
+function longHistory(turns) {
+  const history = [];
+  for (let i = 0; i < turns; i++) {
+    history.push(user(`question ${i} ${'x'.repeat(400)}`), toolUse(`t${i}`), toolResult(`t${i}`, 'y'.repeat(3000)), assistant(`answer ${i}`));
+  }
+  return history;
+}
+
+test('findCutIndex skips tool_result turns and lands on a fresh user turn', () => {
+  const history = [user('a'), toolUse('t1'), toolResult('t1'), assistant('b'), user('c'), toolUse('t2'), toolResult('t2'), assistant('d')];
+
+  assert.equal(findCutIndex(history, 2), 4);
+  assert.equal(findCutIndex(history, 5), -1);
+  assert.equal(findCutIndex([user('only')], 1), -1);
+});
+
+test('compactHistory leaves small histories alone', async () => {
+  const history = [user('hi'), assistant('yo')];
+  assert.equal(await compactHistory(history, { thresholdTokens: 1000, summarize: async () => 'never' }), null);
+  assert.equal(history.length, 2);
+});
+
+test('compactHistory stubs old images and PDFs before summarizing', async () => {
+  const history = [
+    { role: 'user', content: [{ type: 'text', text: 'see pic' }, { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'AAAA' } }] },
+    { role: 'user', content: [{ type: 'document', title: 'report.pdf', source: { type: 'base64', media_type: 'application/pdf', data: 'A'.repeat(400000) } }] },
+    assistant('ok'),
+    ...longHistory(4)
+  ];
+  const before = estimateTokens(history);
+
+  const result = await compactHistory(history, { thresholdTokens: before - 100, summarize: async () => assert.fail('should not summarize') });
+
+  assert.equal(result.summarized, false);
+  assert.match(history[0].content[1].text, /^\[image from earlier/);
+  assert.match(history[1].content[0].text, /^\[PDF report\.pdf from earlier/);
+  assertToolPairsValid(history);
+});
+
+test('compactHistory summarizes older turns and keeps tool pairs valid', async () => {
+  const history = longHistory(10);
+  let summarized;
+
+  const result = await compactHistory(history, {
+    thresholdTokens: 500,
+    summarize: async (messages) => {
+      summarized = messages;
+      return 'they asked 7 questions';
+    }
+  });
+
+  assert.equal(result.summarized, true);
+  assert.ok(result.after < result.before);
+  assert.equal(history[0].role, 'user');
+  assert.match(history[0].content[0].text, /they asked 7 questions/);
+  assert.ok(summarized.length > 0);
+  assertToolPairsValid(history);
+});
+
+test('compactHistory drops older turns with a note when summarizing fails', async () => {
+  const history = longHistory(10);
+
+  const result = await compactHistory(history, { thresholdTokens: 500, summarize: async () => { throw new Error('overloaded'); } });
+
+  assert.equal(result.summarized, false);
+  assert.equal(result.summaryError.message, 'overloaded');
+  assert.match(history[0].content[0].text, /could not be summarized/);
+  assertToolPairsValid(history);
+});
+
+test('compactHistory does not summarize again while the recent turns alone are over the threshold', async () => {
+  const history = longHistory(10);
+  let calls = 0;
+  const summarize = async () => {
+    calls++;
+    return 'they asked about uptime';
+  };
+
+  const first = await compactHistory(history, { thresholdTokens: 500, summarize });
+  assert.ok(first.after > 500);
+
+  history.push(...longHistory(3));
+  const second = await compactHistory(history, { thresholdTokens: 500, summarize });
+
+  assert.equal(calls, 1);
+  assert.equal(second.summarized, false);
+  assert.match(history[0].content[0].text, /they asked about uptime/);
+  assertToolPairsValid(history);
+});
+
+test('renderTranscript names tools, results and attachments', () => {
+  const transcript = renderTranscript([
+    { role: 'user', content: [{ type: 'text', text: 'hi' }, { type: 'document', title: 'a.pdf', source: {} }] },
+    toolUse('t1'),
+    toolResult('t1', 'load average 0.1')
+  ]);
+
+  assert.match(transcript, /user: hi/);
+  assert.match(transcript, /user: \[PDF a\.pdf\]/);
+  assert.match(transcript, /assistant called server_exec: \{"command":"uptime"\}/);
+  assert.match(transcript, /tool result: load average 0\.1/);
+});
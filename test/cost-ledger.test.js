@@ -0,0 +1,59 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { costLedger, validateBudgets } from '../src/services/cost-ledger.js';
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+test('getPrice matches model ids by the longest prefix', () => {
+  assert.deepEqual(costLedger.getPrice('claude-opus-4-5-20251101'), { input: 5, output: 25 });
+  assert.deepEqual(costLedger.getPrice('claude-opus-4-1-20250805'), { input: 15, output: 75 });
+  assert.deepEqual(costLedger.getPrice('claude-haiku-4-5'), { input: 1, output: 5 });
+  // Unknown models are priced like Sonnet
+  assert.deepEqual(costLedger.getPrice('some-new-model'), { input: 3, output: 15 });
+});
+
+test('calculateCost prices input, output and cache tokens', () => {
+  close(costLedger.calculateCost('claude-sonnet-4-5', { input_tokens: 1000000 }), 3);
+  close(costLedger.calculateCost('claude-sonnet-4-5', { output_tokens: 1000000 }), 15);
+  close(costLedger.calculateCost('claude-sonnet-4-5', { cache_creation_input_tokens: 1000000 }), 3.75);
+  close(costLedger.calculateCost('claude-sonnet-4-5', { cache_read_input_tokens: 1000000 }), 0.3);
+  close(costLedger.calculateCost('claude-haiku-4-5', { input_tokens: 2000, output_tokens: 500 }), 0.0045);
+});
+
+test('calculateCacheSavings: reads save 90%, writes cost 25% extra', () => {
+  close(costLedger.calculateCacheSavings('claude-sonnet-4-5', { cache_read_input_tokens: 1000000 }), 2.7);
+  close(costLedger.calculateCacheSavings('claude-sonnet-4-5', { cache_creation_input_tokens: 1000000 }), -0.75);
+});
+
+test('record adds to channel and user spend, checkBudget enforces caps', () => {
+  costLedger.record({ channelId: 'CT_budget', userName: 'Sam', model: 'claude-sonnet-4-5', usage: { input_tokens: 1000000 } });
+
+  close(costLedger.getSpend('channel', 'CT_budget', 'daily'), 3);
+  close(costLedger.getSpend('user', 'Sam', 'monthly'), 3);
+  assert.equal(costLedger.checkBudget({ channelId: 'CT_budget', userName: 'Sam' }).allowed, true);
+
+  costLedger.setBudgets({ channels: { CT_budget: { daily: 2 } }, action: 'refuse' });
+  const refused = costLedger.checkBudget({ channelId: 'CT_budget', userName: 'Sam' });
+  assert.equal(refused.allowed, false);
+  assert.deepEqual(refused.exceeded.map(({ scope, key, period }) => ({ scope, key, period })), [{ scope: 'channel', key: 'CT_budget', period: 'daily' }]);
+
+  costLedger.setBudgets({ action: 'downgrade', downgradeModel: 'claude-haiku-4-5' });
+  assert.deepEqual(costLedger.checkBudget({ channelId: 'CT_budget', userName: 'Sam' }).model, 'claude-haiku-4-5');
+  assert.equal(costLedger.checkBudget({ channelId: 'CT_other', userName: 'Alex' }).exceeded.length, 0);
+});
+
+test('validateBudgets accepts positive caps and null, rejects anything else', () => {
+  assert.equal(validateBudgets({ global: { daily: 10, monthly: 150 }, channels: { CT_1: { daily: 2.5 } }, users: { Alex: { monthly: null } }, action: 'downgrade' }), null);
+  assert.equal(validateBudgets({}), null);
+
+  assert.match(validateBudgets({ global: { daily: '10' } }), /global\.daily must be a positive number/);
+  assert.match(validateBudgets({ global: { monthly: -5 } }), /global\.monthly must be a positive number/);
+  assert.match(validateBudgets({ channels: { CT_1: { daily: 0 } } }), /channels\.CT_1\.daily/);
+  assert.match(validateBudgets({ users: { Alex: { weekly: 5 } } }), /users\.Alex\.weekly is not a cap/);
+  assert.match(validateBudgets({ users: { Alex: 5 } }), /users\.Alex must be an object/);
+  assert.match(validateBudgets({ channels: [] }), /channels must be an object/);
+  assert.match(validateBudgets({ action: 'ignore' }), /action must be/);
+  assert.match(validateBudgets({ global: { daily: 10 }, globl: {} }), /unknown budget fields: globl/);
+  assert.match(validateBudgets(null), /body must be a JSON object/);
+});
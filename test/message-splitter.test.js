@@ -0,0 +1,48 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitMessage } from '../src/services/message-splitter.js';
+
+const fenceCount = (text) => (text.match(/^\s*```/gm) || []).length;
+
+test('short text comes back as one chunk', () => {
+  assert.deepEqual(splitMessage('hello', 100), ['hello']);
+  assert.deepEqual(splitMessage('', 100), ['']);
+});
+
+test('splits between paragraphs first', () => {
+  const text = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)].join('\n\n');
+  const chunks = splitMessage(text, 90);
+
+  assert.deepEqual(chunks, [`${'a'.repeat(40)}\n\n${'b'.repeat(40)}`, 'c'.repeat(40)]);
+});
+
+test('cuts a paragraph without line breaks mid-line', () => {
+  const chunks = splitMessage('z'.repeat(250), 100);
+
+  assert.equal(chunks.join(''), 'z'.repeat(250));
+  assert.ok(chunks.every(chunk => chunk.length <= 100));
+});
+
+test('a cut code block is closed and reopened with its language', () => {
+  const code = Array.from({ length: 30 }, (_, i) => `line ${i} of the stack trace`).join('\n');
+  const text = `here's the trace:\n\n\`\`\`js\n${code}\n\`\`\`\n\nlooks like a null deref`;
+  const chunks = splitMessage(text, 300);
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.length <= 300, `chunk of ${chunk.length} chars`);
+    assert.equal(fenceCount(chunk) % 2, 0, `unbalanced fences in:\n${chunk}`);
+  }
+  assert.ok(chunks.filter(chunk => chunk.includes('```js')).length > 1);
+  assert.equal(chunks.join('\n').match(/line \d+ of/g).length, 30);
+});
+
+test('a code fence longer than the limit is cut like text instead of hanging', () => {
+  const fence = `\`\`\`${'x'.repeat(120)}`;
+  const text = `${fence}\nconst a = 1;\n\`\`\``;
+  const chunks = splitMessage(text, 100);
+
+  assert.ok(chunks.every(chunk => chunk.length <= 100));
+  assert.equal(chunks.join('').replace(/\n/g, ''), text.replace(/\n/g, ''));
+});
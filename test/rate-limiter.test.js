@@ -0,0 +1,20 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rateLimiter } from '../src/services/rate-limiter.js';
+
+test('forgets users, channels and notices once their window has passed', (t) => {
+  t.mock.timers.enable({ apis: ['Date'], now: 1_000_000 });
+  Object.assign(rateLimiter, { userLimit: 1, channelLimit: 0, windowMs: 1000 });
+
+  assert.equal(rateLimiter.check({ channelId: 'CT_1', userName: 'Alex' }).allowed, true);
+  const limited = rateLimiter.check({ channelId: 'CT_1', userName: 'Alex' });
+  assert.equal(limited.allowed, false);
+  assert.equal(rateLimiter.shouldNotify(limited.key), true);
+  assert.equal(rateLimiter.shouldNotify(limited.key), false);
+
+  t.mock.timers.tick(1000);
+  assert.equal(rateLimiter.check({ channelId: 'CT_2', userName: 'Sam' }).allowed, true);
+  assert.deepEqual([...rateLimiter.hits.keys()], ['user:sam']);
+  assert.equal(rateLimiter.noticesSentAt.size, 0);
+});
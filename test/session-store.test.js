@@ -0,0 +1,66 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FileSessionStore, MemorySessionStore, createSessionStore } from '../src/services/session-store.js';
+
+const record = (channelId) => ({ channelId, history: [{ role: 'user', content: 'hi' }], stats: { lastActivityAt: new Date().toISOString() } });
+
+test('file store saves, reloads and deletes sessions', async () => {
+  const dir = path.join(process.env.DATA_DIR, 'sessions-file');
+  const store = new FileSessionStore(dir);
+
+  await store.save('CT_1', record('CT_1'));
+  await store.save('CT_1:thread:99', record('CT_1:thread:99'));
+  assert.deepEqual(store.loadAll().map(saved => saved.channelId).sort(), ['CT_1', 'CT_1:thread:99']);
+  assert.ok(fs.readdirSync(dir).every(file => !file.endsWith('.tmp')));
+
+  await store.delete('CT_1');
+  await store.delete('CT_never_saved');
+  assert.deepEqual(store.loadAll().map(saved => saved.channelId), ['CT_1:thread:99']);
+});
+
+test('file store never writes outside its directory and skips unreadable files', async () => {
+  const dir = path.join(process.env.DATA_DIR, 'sessions-safe');
+  const store = new FileSessionStore(dir);
+
+  await store.save('../../escape', record('../../escape'));
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{not json');
+
+  assert.ok(fs.existsSync(path.join(dir, '%2E%2E%2F%2E%2E%2Fescape.json')));
+  assert.deepEqual(store.loadAll().map(saved => saved.channelId), ['../../escape']);
+});
+
+test('file store keeps channel IDs that differ only in special characters apart', async () => {
+  const dir = path.join(process.env.DATA_DIR, 'sessions-encoded');
+  const store = new FileSessionStore(dir);
+
+  for (const channelId of ['CT_1', 'CT:1', 'CT/1', 'CT.1']) {
+    await store.save(channelId, record(channelId));
+  }
+  assert.deepEqual(store.loadAll().map(saved => saved.channelId).sort(), ['CT.1', 'CT/1', 'CT:1', 'CT_1']);
+
+  await store.delete('CT:1');
+  assert.deepEqual(store.loadAll().map(saved => saved.channelId).sort(), ['CT.1', 'CT/1', 'CT_1']);
+});
+
+test('file store moves files saved under the old sanitized names', async () => {
+  const dir = path.join(process.env.DATA_DIR, 'sessions-legacy');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'CT_1_thread_99.json'), JSON.stringify(record('CT_1:thread:99')));
+  const store = new FileSessionStore(dir);
+
+  assert.deepEqual(store.loadAll().map(saved => saved.channelId), ['CT_1:thread:99']);
+  await store.delete('CT_1:thread:99');
+  assert.deepEqual(store.loadAll(), []);
+});
+
+test('file store defaults to DATA_DIR/sessions', () => {
+  assert.equal(new FileSessionStore().dir, path.join(process.env.DATA_DIR, 'sessions'));
+});
+
+test('createSessionStore picks the backend', () => {
+  assert.ok(createSessionStore('memory') instanceof MemorySessionStore);
+  assert.throws(() => createSessionStore('redis'), /Unknown session store: redis/);
+});
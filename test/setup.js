@@ -0,0 +1,13 @@
+/**
+ * Test setup - import first in every test file
+ * Modules read env at load time, so this has to run before they are imported:
+ * state goes to a throwaway data dir and logs stay quiet.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'bugbuster-test-'));
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.SESSION_STORE = 'memory';
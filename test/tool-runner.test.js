@@ -0,0 +1,55 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runToolCalls } from '../src/services/tool-runner.js';
+
+const call = (id, name = 'fake_tool', input = {}) => ({ type: 'tool_use', id, name, input });
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('runs calls concurrently up to TOOL_CONCURRENCY and keeps results in call order', async () => {
+  let running = 0;
+  let maxRunning = 0;
+  const execute = async (name, input) => {
+    running++;
+    maxRunning = Math.max(maxRunning, running);
+    await sleep(input.delay);
+    running--;
+    return `done ${input.delay}`;
+  };
+
+  const calls = [30, 5, 20, 1, 10, 2].map((delay, i) => call(`t${i}`, 'fake_tool', { delay }));
+  const results = await runToolCalls(calls, {}, { execute });
+
+  assert.deepEqual(results.map(result => result.tool_use_id), ['t0', 't1', 't2', 't3', 't4', 't5']);
+  assert.deepEqual(results.map(result => result.content), ['done 30', 'done 5', 'done 20', 'done 1', 'done 10', 'done 2']);
+  assert.equal(maxRunning, 4);
+});
+
+test('marks thrown errors and "❌" results as errors', async () => {
+  const execute = async (name) => {
+    if (name === 'throws') throw new Error('ssh refused');
+    if (name === 'fails') return '❌ Server not found';
+    return 'ok';
+  };
+
+  const [thrown, failed, ok] = await runToolCalls([call('a', 'throws'), call('b', 'fails'), call('c', 'works')], {}, { execute });
+
+  assert.deepEqual(thrown, { type: 'tool_result', tool_use_id: 'a', content: 'Error: ssh refused', is_error: true });
+  assert.equal(failed.is_error, true);
+  assert.equal(ok.is_error, undefined);
+});
+
+test('per-tool timeout overrides from TOOL_TIMEOUT_<NAME>_MS', async () => {
+  process.env.TOOL_TIMEOUT_SLOW_TOOL_MS = '20';
+  const ended = [];
+
+  const [result] = await runToolCalls([call('s', 'slow_tool')], {}, {
+    execute: () => sleep(200).then(() => 'too late'),
+    onEnd: (toolCall, outcome) => ended.push(outcome.error)
+  });
+
+  assert.equal(result.is_error, true);
+  assert.match(result.content, /slow_tool timed out/);
+  assert.match(ended[0], /timed out/);
+  delete process.env.TOOL_TIMEOUT_SLOW_TOOL_MS;
+});
@@ -0,0 +1,52 @@
+import './setup.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateDefinition, validateInput } from '../src/tools/schema.js';
+
+const definition = {
+  name: 'create_jira_ticket',
+  description: 'File a ticket',
+  input_schema: {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      priority: { type: 'string', enum: ['Low', 'Medium', 'High'] },
+      labels: { type: 'array', items: { type: 'string' } },
+      estimate: { type: 'integer' }
+    },
+    required: ['title']
+  }
+};
+
+test('validateDefinition accepts a well-formed tool', () => {
+  assert.deepEqual(validateDefinition(definition), []);
+});
+
+test('validateDefinition reports bad names, missing descriptions and schema problems', () => {
+  const errors = validateDefinition({
+    name: 'has spaces',
+    description: ' ',
+    input_schema: { type: 'object', properties: { when: { type: 'date' } }, required: ['missing'] }
+  });
+
+  assert.deepEqual(errors, [
+    'invalid name "has spaces"',
+    'missing description',
+    'input_schema.when has unsupported type "date"',
+    'required field "missing" is not in properties'
+  ]);
+  assert.deepEqual(validateDefinition(null), ['missing definition export']);
+  assert.deepEqual(validateDefinition({ ...definition, input_schema: { type: 'string' } }), ['input_schema must be of type "object"']);
+});
+
+test('validateInput checks required fields, types, enums and array items', () => {
+  assert.deepEqual(validateInput(definition.input_schema, { title: 'Login broken', priority: 'High', labels: ['ui'], estimate: 3, extra: true }), []);
+
+  assert.deepEqual(validateInput(definition.input_schema, { priority: 'Urgent', labels: ['ui', 7], estimate: 1.5 }), [
+    'title is required',
+    'priority must be one of: Low, Medium, High',
+    'labels[1] should be string, got integer',
+    'estimate should be integer, got number'
+  ]);
+  assert.deepEqual(validateInput(definition.input_schema, 'title'), ['input must be an object']);
+});